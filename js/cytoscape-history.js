@@ -0,0 +1,89 @@
+// Command History for CytoscapeNetworkGraph
+// Undo/redo stacks of reversible edits
+
+/**
+ * Undo/redo history. A command is { label, undo(), redo() }; commands are
+ * recorded after they have been carried out. `onChange` runs whenever what
+ * can be undone or redone changes.
+ */
+export class CommandHistory {
+    constructor({ limit = 100, onChange = null } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        // True while a command is being undone or redone, so it is not recorded again
+        this.applying = false;
+    }
+
+    /**
+     * Record a command that has just been carried out. Starts a new branch:
+     * anything that could have been redone is dropped.
+     */
+    record(command) {
+        if (this.applying) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.changed();
+    }
+
+    /**
+     * Undo the most recent command; returns its label or null
+     */
+    undo() {
+        return this.step(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo the most recently undone command; returns its label or null
+     */
+    redo() {
+        return this.step(this.redoStack, this.undoStack, 'redo');
+    }
+
+    step(from, to, method) {
+        const command = from.pop();
+        if (!command) return null;
+
+        this.applying = true;
+        try {
+            command[method]();
+        } finally {
+            this.applying = false;
+        }
+        to.push(command);
+        this.changed();
+        return command.label;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Labels of the next undo and redo, for tooltips
+     */
+    peek() {
+        const undo = this.undoStack[this.undoStack.length - 1];
+        const redo = this.redoStack[this.redoStack.length - 1];
+        return { undo: undo ? undo.label : null, redo: redo ? redo.label : null };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.changed();
+    }
+
+    changed() {
+        if (this.onChange) this.onChange();
+    }
+}
@@ -0,0 +1,371 @@
+// Interchange Formats for CytoscapeNetworkGraph
+// GraphML and GEXF to and from Cytoscape element definitions, for Gephi, yEd and i2-style tools
+
+const GRAPHML_NS = 'http://graphml.graphdrawing.org/xmlns';
+const GEXF_NS = 'http://www.gexf.net/1.2draft';
+const GEXF_VIZ_NS = 'http://www.gexf.net/1.2draft/viz';
+
+// Attributes written for every node and edge: [name, type]
+const NODE_ATTRIBUTES = [
+    ['label', 'string'],
+    ['entityType', 'string'],
+    ['riskScore', 'double'],
+    ['isCenter', 'boolean'],
+    ['isGroup', 'boolean'],
+    ['rawData', 'string']
+];
+const EDGE_ATTRIBUTES = [
+    ['label', 'string'],
+    ['strength', 'string'],
+    ['rawData', 'string']
+];
+
+// GEXF edge weight for each relationship strength
+const STRENGTH_WEIGHTS = { 'Weak': 1, 'Medium': 2, 'Strong': 3 };
+
+// Nearest strength for a GEXF edge weight; Gephi and most partner files carry only weight
+function strengthForWeight(weight) {
+    if (weight < (STRENGTH_WEIGHTS.Weak + STRENGTH_WEIGHTS.Medium) / 2) return 'Weak';
+    if (weight < (STRENGTH_WEIGHTS.Medium + STRENGTH_WEIGHTS.Strong) / 2) return 'Medium';
+    return 'Strong';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Attribute values as strings; rawData is stored as JSON
+function attributeValue(data, name) {
+    const value = data[name];
+    if (value === undefined || value === null) return null;
+    if (name === 'rawData') return JSON.stringify(value);
+    return String(value);
+}
+
+function parseXml(text, format) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const error = doc.getElementsByTagName('parsererror')[0];
+    if (error) {
+        throw new Error(`Invalid ${format}: ${error.textContent.trim().split('\n')[0]}`);
+    }
+    return doc;
+}
+
+// Direct children of an element with the given local name, whatever their prefix
+function childElements(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+function closestAncestor(element, localName) {
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+        if (parent.localName === localName) return parent;
+    }
+    return null;
+}
+
+// rawData is written as JSON; anything unreadable is treated as missing
+function parseRawData(value) {
+    if (typeof value !== 'string') return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function without(attributes, names) {
+    const rest = { ...attributes };
+    names.forEach(name => delete rest[name]);
+    return rest;
+}
+
+function convertValue(value, type) {
+    switch (type) {
+        case 'boolean':
+            return value === 'true' || value === '1';
+        case 'int':
+        case 'integer':
+        case 'long':
+        case 'float':
+        case 'double': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Node element definition from attributes read off a file. Known names map
+ * onto the graph's data fields (falling back to `name` and `type`, which
+ * other tools use); anything else is kept in rawData when the file has none.
+ */
+function nodeDefinition(id, attributes, parent, position) {
+    const label = attributes.label ?? attributes.name ?? id;
+    const entityType = attributes.entityType ?? attributes.type ?? 'Unknown';
+    const riskScore = Number(attributes.riskScore) || 0;
+
+    const rawData = parseRawData(attributes.rawData) || {
+        ...without(attributes, ['label', 'rawData', 'isCenter', 'isGroup']),
+        id,
+        name: label,
+        type: entityType,
+        riskScore
+    };
+
+    const definition = {
+        group: 'nodes',
+        data: { id, label, entityType, riskScore, rawData }
+    };
+    if (attributes.isCenter) definition.data.isCenter = true;
+    if (attributes.isGroup) definition.data.isGroup = true;
+    if (parent) definition.data.parent = parent;
+    if (position) definition.position = position;
+    return definition;
+}
+
+function edgeDefinition(id, source, target, attributes) {
+    const label = attributes.label ?? attributes.type ?? 'Related';
+    const strength = attributes.strength ?? 'Medium';
+
+    const rawData = parseRawData(attributes.rawData) || {
+        ...without(attributes, ['label', 'rawData']),
+        id,
+        sourceEntityId: source,
+        targetEntityId: target,
+        type: label,
+        strength
+    };
+
+    return {
+        group: 'edges',
+        data: { id, source, target, label, strength, rawData }
+    };
+}
+
+/**
+ * GraphML document for { nodes, edges } element JSON. Group membership is
+ * written as a `parent` attribute and positions as `x`/`y`.
+ */
+export function toGraphML({ nodes, edges }) {
+    const keys = [
+        ...NODE_ATTRIBUTES.map(([name, type]) => ({ name, type, domain: 'node' })),
+        { name: 'parent', type: 'string', domain: 'node' },
+        { name: 'x', type: 'double', domain: 'node' },
+        { name: 'y', type: 'double', domain: 'node' },
+        ...EDGE_ATTRIBUTES.map(([name, type]) => ({ name, type, domain: 'edge' }))
+    ];
+    const keyId = (domain, name) => `${domain[0]}_${name}`;
+    const dataLines = (domain, values) => keys
+        .filter(key => key.domain === domain && values[key.name] !== null && values[key.name] !== undefined)
+        .map(key => `      <data key="${keyId(domain, key.name)}">${escapeXml(values[key.name])}</data>`);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<graphml xmlns="${GRAPHML_NS}">`,
+        ...keys.map(key => `  <key id="${keyId(key.domain, key.name)}" for="${key.domain}" attr.name="${key.name}" attr.type="${key.type}"/>`),
+        '  <graph id="G" edgedefault="directed">'
+    ];
+
+    nodes.forEach(node => {
+        const values = {};
+        NODE_ATTRIBUTES.forEach(([name]) => { values[name] = attributeValue(node.data, name); });
+        values.parent = node.data.parent ?? null;
+        if (node.position) {
+            values.x = node.position.x;
+            values.y = node.position.y;
+        }
+        lines.push(`    <node id="${escapeXml(node.data.id)}">`, ...dataLines('node', values), '    </node>');
+    });
+
+    edges.forEach(edge => {
+        const values = {};
+        EDGE_ATTRIBUTES.forEach(([name]) => { values[name] = attributeValue(edge.data, name); });
+        lines.push(
+            `    <edge id="${escapeXml(edge.data.id)}" source="${escapeXml(edge.data.source)}" target="${escapeXml(edge.data.target)}">`,
+            ...dataLines('edge', values),
+            '    </edge>'
+        );
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+/**
+ * Element definitions ({ nodes, edges }) from a GraphML document. Nodes
+ * nested inside another node's subgraph, or with a `parent` attribute,
+ * become members of that node's group.
+ */
+export function fromGraphML(text) {
+    const doc = parseXml(text, 'GraphML');
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'graphml') {
+        throw new Error('Invalid GraphML: missing <graphml> root element');
+    }
+
+    const keys = new Map();
+    childElements(root, 'key').forEach(key => {
+        keys.set(key.getAttribute('id'), {
+            name: key.getAttribute('attr.name') || key.getAttribute('id'),
+            type: key.getAttribute('attr.type') || 'string'
+        });
+    });
+
+    const readData = (element) => {
+        const attributes = {};
+        childElements(element, 'data').forEach(data => {
+            const key = keys.get(data.getAttribute('key')) || { name: data.getAttribute('key'), type: 'string' };
+            attributes[key.name] = convertValue(data.textContent, key.type);
+        });
+        return attributes;
+    };
+
+    const nodes = Array.from(doc.getElementsByTagNameNS('*', 'node')).map(element => {
+        const attributes = readData(element);
+        const enclosing = closestAncestor(element, 'node');
+        const parent = enclosing ? enclosing.getAttribute('id') : attributes.parent || null;
+        const position = Number.isFinite(attributes.x) && Number.isFinite(attributes.y)
+            ? { x: attributes.x, y: attributes.y }
+            : null;
+        delete attributes.parent;
+        delete attributes.x;
+        delete attributes.y;
+        return nodeDefinition(element.getAttribute('id'), attributes, parent, position);
+    });
+
+    const edges = Array.from(doc.getElementsByTagNameNS('*', 'edge')).map((element, index) => edgeDefinition(
+        element.getAttribute('id') || `e${index}`,
+        element.getAttribute('source'),
+        element.getAttribute('target'),
+        readData(element)
+    ));
+
+    return { nodes, edges };
+}
+
+/**
+ * GEXF 1.2 document for { nodes, edges } element JSON. Group membership is
+ * written as `pid`, positions as viz:position and strength also as weight.
+ */
+export function toGEXF({ nodes, edges }) {
+    const attributeBlock = (cls, attributes) => [
+        `    <attributes class="${cls}">`,
+        ...attributes.map(([name, type]) => `      <attribute id="${name}" title="${name}" type="${type}"/>`),
+        '    </attributes>'
+    ];
+    const attvalues = (data, attributes) => {
+        const values = attributes
+            .map(([name]) => [name, attributeValue(data, name)])
+            .filter(([, value]) => value !== null)
+            .map(([name, value]) => `          <attvalue for="${name}" value="${escapeXml(value)}"/>`);
+        return values.length > 0 ? ['        <attvalues>', ...values, '        </attvalues>'] : [];
+    };
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gexf xmlns="${GEXF_NS}" xmlns:viz="${GEXF_VIZ_NS}" version="1.2">`,
+        '  <graph mode="static" defaultedgetype="directed">',
+        ...attributeBlock('node', NODE_ATTRIBUTES),
+        ...attributeBlock('edge', EDGE_ATTRIBUTES),
+        '    <nodes>'
+    ];
+
+    nodes.forEach(node => {
+        const pid = node.data.parent ? ` pid="${escapeXml(node.data.parent)}"` : '';
+        lines.push(`      <node id="${escapeXml(node.data.id)}" label="${escapeXml(node.data.label ?? node.data.id)}"${pid}>`);
+        lines.push(...attvalues(node.data, NODE_ATTRIBUTES));
+        if (node.position) {
+            lines.push(`        <viz:position x="${node.position.x}" y="${node.position.y}" z="0"/>`);
+        }
+        lines.push('      </node>');
+    });
+
+    lines.push('    </nodes>', '    <edges>');
+    edges.forEach(edge => {
+        const weight = STRENGTH_WEIGHTS[edge.data.strength] || STRENGTH_WEIGHTS.Medium;
+        lines.push(`      <edge id="${escapeXml(edge.data.id)}" source="${escapeXml(edge.data.source)}" target="${escapeXml(edge.data.target)}" label="${escapeXml(edge.data.label ?? '')}" weight="${weight}">`);
+        lines.push(...attvalues(edge.data, EDGE_ATTRIBUTES));
+        lines.push('      </edge>');
+    });
+
+    lines.push('    </edges>', '  </graph>', '</gexf>');
+    return lines.join('\n');
+}
+
+/**
+ * Element definitions ({ nodes, edges }) from a GEXF document. Hierarchy
+ * from `pid` or nested <nodes> becomes group membership, and edges without
+ * a strength attribute take the strength nearest their weight.
+ */
+export function fromGEXF(text) {
+    const doc = parseXml(text, 'GEXF');
+    const root = doc.documentElement;
+    const graph = root && root.localName === 'gexf' ? childElements(root, 'graph')[0] : null;
+    if (!graph) {
+        throw new Error('Invalid GEXF: missing <gexf><graph> elements');
+    }
+
+    const attributeDefinitions = { node: new Map(), edge: new Map() };
+    childElements(graph, 'attributes').forEach(block => {
+        const definitions = attributeDefinitions[block.getAttribute('class')];
+        if (!definitions) return;
+        childElements(block, 'attribute').forEach(attribute => {
+            definitions.set(attribute.getAttribute('id'), {
+                name: attribute.getAttribute('title') || attribute.getAttribute('id'),
+                type: attribute.getAttribute('type') || 'string'
+            });
+        });
+    });
+
+    const readAttvalues = (element, cls) => {
+        const attributes = {};
+        childElements(element, 'attvalues').forEach(block => {
+            childElements(block, 'attvalue').forEach(attvalue => {
+                const id = attvalue.getAttribute('for') || attvalue.getAttribute('id');
+                const definition = attributeDefinitions[cls].get(id) || { name: id, type: 'string' };
+                attributes[definition.name] = convertValue(attvalue.getAttribute('value'), definition.type);
+            });
+        });
+        return attributes;
+    };
+
+    const nodes = Array.from(doc.getElementsByTagNameNS('*', 'node')).map(element => {
+        const attributes = readAttvalues(element, 'node');
+        if (element.hasAttribute('label') && attributes.label === undefined) {
+            attributes.label = element.getAttribute('label');
+        }
+        const enclosing = closestAncestor(element, 'node');
+        const parent = element.getAttribute('pid') || (enclosing ? enclosing.getAttribute('id') : null);
+
+        const viz = childElements(element, 'position')[0];
+        const x = viz ? Number(viz.getAttribute('x')) : NaN;
+        const y = viz ? Number(viz.getAttribute('y')) : NaN;
+        const position = Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+        return nodeDefinition(element.getAttribute('id'), attributes, parent, position);
+    });
+
+    const edges = Array.from(doc.getElementsByTagNameNS('*', 'edge')).map((element, index) => {
+        const attributes = readAttvalues(element, 'edge');
+        if (element.hasAttribute('label') && attributes.label === undefined && element.getAttribute('label') !== '') {
+            attributes.label = element.getAttribute('label');
+        }
+        const weight = Number(element.getAttribute('weight'));
+        if (attributes.strength === undefined && element.hasAttribute('weight') && Number.isFinite(weight)) {
+            attributes.strength = strengthForWeight(weight);
+        }
+        return edgeDefinition(
+            element.getAttribute('id') || `e${index}`,
+            element.getAttribute('source'),
+            element.getAttribute('target'),
+            attributes
+        );
+    });
+
+    return { nodes, edges };
+}
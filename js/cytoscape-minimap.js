@@ -0,0 +1,247 @@
+// Minimap for CytoscapeNetworkGraph
+// Thumbnail of the whole graph with a draggable, resizable box for the visible area
+
+const CORNERS = {
+    'top-left': 'top: 10px; left: 10px;',
+    'top-right': 'top: 56px; right: 10px;',
+    'bottom-left': 'bottom: 10px; left: 10px;',
+    'bottom-right': 'bottom: 10px; right: 10px;'
+};
+
+// Padding (px) between the thumbnail edge and the graph
+const PADDING = 8;
+// Smallest viewport box (px) that can still be grabbed
+const MIN_BOX = 12;
+
+/**
+ * Navigator panel for a cytoscape instance. The panel is an overlay next to
+ * the cy canvas, so cy.png() and cy.jpg() never include it. Dragging the box
+ * pans, dragging its corner handle zooms and clicking elsewhere on the
+ * thumbnail centers the view there.
+ *
+ * options: { position: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right', width, height }
+ */
+export class Minimap {
+    constructor(cy, container, options = {}) {
+        this.cy = cy;
+        this.width = options.width || 200;
+        this.height = options.height || 140;
+        this.frame = null;
+        this.drag = null;
+        // Graph units → thumbnail px: thumbnail = graph * scale + offset
+        this.transform = { scale: 1, x: 0, y: 0 };
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'cy-minimap';
+        this.panel.setAttribute('aria-hidden', 'true');
+        this.panel.style.cssText = `
+            position: absolute;
+            ${CORNERS[options.position] || CORNERS['bottom-right']}
+            width: ${this.width}px;
+            height: ${this.height}px;
+            background: rgba(255,255,255,0.95);
+            border-radius: 6px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            overflow: hidden;
+            z-index: 100;
+            touch-action: none;
+            cursor: pointer;
+        `;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%;';
+        this.context = this.canvas.getContext('2d');
+        this.panel.appendChild(this.canvas);
+
+        this.box = document.createElement('div');
+        this.box.style.cssText = 'position: absolute; border: 2px solid #667eea; background: rgba(102, 126, 234, 0.12); box-sizing: border-box; cursor: move;';
+        this.handle = document.createElement('div');
+        this.handle.style.cssText = 'position: absolute; right: -2px; bottom: -2px; width: 10px; height: 10px; background: #667eea; cursor: nwse-resize;';
+        this.box.appendChild(this.handle);
+        this.panel.appendChild(this.box);
+
+        container.appendChild(this.panel);
+
+        this.onGraphChanged = () => this.requestDraw();
+        this.onViewportChanged = () => this.updateBox();
+        cy.on('add remove position data style', this.onGraphChanged);
+        cy.on('pan zoom resize', this.onViewportChanged);
+
+        this.setupPointerHandlers();
+        this.requestDraw();
+    }
+
+    // Coalesce redraws into one per animation frame; layouts move every node each tick
+    requestDraw() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    // Fit the graph's bounding box into the thumbnail
+    updateTransform() {
+        const bb = this.cy.elements(':visible').boundingBox({ includeLabels: false });
+        const width = Math.max(bb.w, 1);
+        const height = Math.max(bb.h, 1);
+        const scale = Math.min((this.width - PADDING * 2) / width, (this.height - PADDING * 2) / height);
+        this.transform = {
+            scale,
+            x: (this.width - width * scale) / 2 - (bb.w > 0 ? bb.x1 : bb.x1 - 0.5) * scale,
+            y: (this.height - height * scale) / 2 - (bb.h > 0 ? bb.y1 : bb.y1 - 0.5) * scale
+        };
+    }
+
+    draw() {
+        if (!this.context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const pixelWidth = Math.round(this.width * ratio);
+        const pixelHeight = Math.round(this.height * ratio);
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+
+        this.updateTransform();
+        const { scale, x, y } = this.transform;
+        const ctx = this.context;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, pixelWidth, pixelHeight);
+        ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+
+        ctx.lineWidth = 1 / scale;
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.beginPath();
+        this.cy.edges(':visible').forEach(edge => {
+            const source = edge.source().position();
+            const target = edge.target().position();
+            ctx.moveTo(source.x, source.y);
+            ctx.lineTo(target.x, target.y);
+        });
+        ctx.stroke();
+
+        // Parents first so their members are drawn on top
+        this.cy.nodes(':visible').sort((a, b) => a.isParent() === b.isParent() ? 0 : a.isParent() ? -1 : 1).forEach(node => {
+            const bb = node.boundingBox({ includeLabels: false });
+            ctx.globalAlpha = node.isParent() ? 0.25 : 1;
+            ctx.fillStyle = node.style('background-color');
+            if (node.isParent()) {
+                ctx.fillRect(bb.x1, bb.y1, bb.w, bb.h);
+            } else {
+                ctx.beginPath();
+                ctx.arc((bb.x1 + bb.x2) / 2, (bb.y1 + bb.y2) / 2, Math.max(bb.w, bb.h) / 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+        ctx.globalAlpha = 1;
+
+        this.updateBox();
+    }
+
+    // Place the box over the part of the graph currently on screen
+    updateBox() {
+        const extent = this.cy.extent();
+        const { scale, x, y } = this.transform;
+        const left = extent.x1 * scale + x;
+        const top = extent.y1 * scale + y;
+        this.box.style.left = `${left}px`;
+        this.box.style.top = `${top}px`;
+        this.box.style.width = `${Math.max(extent.w * scale, MIN_BOX)}px`;
+        this.box.style.height = `${Math.max(extent.h * scale, MIN_BOX)}px`;
+    }
+
+    // Thumbnail px → graph units
+    toGraph(point) {
+        const { scale, x, y } = this.transform;
+        return { x: (point.x - x) / scale, y: (point.y - y) / scale };
+    }
+
+    // Pan so the given graph point is in the middle of the view
+    centerOn(point) {
+        const zoom = this.cy.zoom();
+        this.cy.pan({
+            x: this.cy.width() / 2 - point.x * zoom,
+            y: this.cy.height() / 2 - point.y * zoom
+        });
+    }
+
+    setupPointerHandlers() {
+        const pointFor = (e) => {
+            const rect = this.panel.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        this.panel.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (this.panel.setPointerCapture) this.panel.setPointerCapture(e.pointerId);
+
+            const point = pointFor(e);
+            if (e.target === this.handle) {
+                const extent = this.cy.extent();
+                this.drag = { mode: 'resize', origin: { x: extent.x1, y: extent.y1 } };
+                return;
+            }
+            if (e.target !== this.box) {
+                // Clicking outside the box jumps there, then keeps dragging the box
+                this.centerOn(this.toGraph(point));
+            }
+            const extent = this.cy.extent();
+            this.drag = {
+                mode: 'move',
+                start: point,
+                center: { x: (extent.x1 + extent.x2) / 2, y: (extent.y1 + extent.y2) / 2 }
+            };
+        });
+
+        this.panel.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            const point = pointFor(e);
+            const scale = this.transform.scale;
+
+            if (this.drag.mode === 'move') {
+                this.centerOn({
+                    x: this.drag.center.x + (point.x - this.drag.start.x) / scale,
+                    y: this.drag.center.y + (point.y - this.drag.start.y) / scale
+                });
+                return;
+            }
+
+            // Resizing keeps the box's top-left corner and zooms to fit its new size
+            const corner = this.toGraph(point);
+            const width = Math.max(corner.x - this.drag.origin.x, MIN_BOX / scale);
+            const height = Math.max(corner.y - this.drag.origin.y, MIN_BOX / scale);
+            const zoom = Math.min(this.cy.width() / width, this.cy.height() / height);
+            this.cy.zoom(Math.min(Math.max(zoom, this.cy.minZoom()), this.cy.maxZoom()));
+            const level = this.cy.zoom();
+            this.cy.pan({ x: -this.drag.origin.x * level, y: -this.drag.origin.y * level });
+        });
+
+        const finish = () => { this.drag = null; };
+        this.panel.addEventListener('pointerup', finish);
+        this.panel.addEventListener('pointercancel', finish);
+        // Keep wheel events from zooming the graph underneath
+        this.panel.addEventListener('wheel', (e) => e.stopPropagation());
+    }
+
+    setVisible(visible) {
+        this.panel.style.display = visible ? 'block' : 'none';
+        if (visible) this.requestDraw();
+    }
+
+    destroy() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.cy && !this.cy.destroyed()) {
+            this.cy.removeListener('add remove position data style', this.onGraphChanged);
+            this.cy.removeListener('pan zoom resize', this.onViewportChanged);
+        }
+        this.panel.remove();
+        this.context = null;
+    }
+}
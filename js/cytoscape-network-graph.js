@@ -8,11 +8,18 @@
  * - Context menus
  * - Clustering and grouping
  * - Path highlighting
- * - Export capabilities
+ * - Export and import (JSON, GraphML, GEXF)
+ * - Minimap navigator
  * - Advanced layouts (force-directed, hierarchical, circular, grid, cose, concentric)
  * - Risk-based styling
  */
 
+import { ARROW_DIRECTIONS, announce, createLiveRegion, describeEntity, pickNeighbour } from './network-accessibility.js';
+import { CommandHistory } from './cytoscape-history.js';
+import { Minimap } from './cytoscape-minimap.js';
+import { pointInPolygon } from './network-selection.js';
+import { fromGEXF, fromGraphML, toGEXF, toGraphML } from './cytoscape-interchange.js';
+
 // CDN for Cytoscape.js and extensions - loaded dynamically
 const CYTOSCAPE_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/cytoscape/3.28.1/cytoscape.min.js';
 const CYTOSCAPE_COSE_BILKENT_CDN = 'https://cdn.jsdelivr.net/npm/cytoscape-cose-bilkent@4.1.0/cytoscape-cose-bilkent.min.js';
@@ -87,6 +94,17 @@ function loadScript(url) {
     });
 }
 
+// Offer text as a file download
+function downloadFile(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Main Cytoscape Network Graph Class
  */
@@ -101,6 +119,23 @@ class CytoscapeNetworkGraph {
         this.selectedElements = [];
         this.highlightedPath = [];
         this.layoutRunning = false;
+        this.keyboardNode = null;
+        this.pendingMove = null;
+        this.toolbarButtons = {};
+        this.lassoActive = false;
+        this.lasso = null;
+        this.selectionTimer = null;
+        this.lastSelectionKey = '';
+        this.minimap = null;
+        // Compound groups by parent id: { id, label, collapsed, members, offsets }
+        this.groups = new Map();
+        this.groupCounter = 0;
+        // Edges taken out of cy while an end is inside a collapsed group, by id
+        this.parkedEdges = new Map();
+        this.history = new CommandHistory({
+            limit: options.historyLimit || 100,
+            onChange: () => this.onHistoryChanged()
+        });
         
         // Configuration
         this.config = {
@@ -108,7 +143,11 @@ class CytoscapeNetworkGraph {
             iconPath: options.iconPath || '/icons/entity',
             layout: options.layout || 'cose',
             enableContextMenu: options.enableContextMenu !== false,
-            enableMinimap: options.enableMinimap !== false,
+            // Opt-in, so pages that never asked for a minimap don't get one
+            enableMinimap: options.enableMinimap === true,
+            minimapPosition: options.minimapPosition || 'bottom-right',
+            minimapWidth: options.minimapWidth || 200,
+            minimapHeight: options.minimapHeight || 140,
             enableLegend: options.enableLegend !== false
         };
     }
@@ -128,14 +167,21 @@ class CytoscapeNetworkGraph {
             this.createContainer();
             this.createCytoscape();
             this.addData();
-            this.applyLayout(this.config.layout);
+            // The first layout is the starting point, not an undoable step
+            this.applyLayout(this.config.layout, {}, false);
             this.setupEventHandlers();
+            this.setupKeyboardNavigation();
             this.createControls();
+            this.createLassoOverlay();
             
             if (this.config.enableLegend) {
                 this.createLegend();
             }
 
+            if (this.config.enableMinimap) {
+                this.createMinimap();
+            }
+
             return true;
         } catch (error) {
             console.error('Error initializing Cytoscape graph:', error);
@@ -154,7 +200,14 @@ class CytoscapeNetworkGraph {
         this.canvasContainer = document.createElement('div');
         this.canvasContainer.id = `${this.containerId}-canvas`;
         this.canvasContainer.style.cssText = 'width: 100%; height: 100%; position: absolute; top: 0; left: 0;';
+        this.canvasContainer.setAttribute('tabindex', '0');
+        this.canvasContainer.setAttribute('role', 'application');
+        this.canvasContainer.setAttribute('aria-roledescription', 'network graph');
+        this.canvasContainer.setAttribute('aria-label', 'Network graph. Use the arrow keys to move between connected entities and Enter to open one.');
         this.container.appendChild(this.canvasContainer);
+
+        // Screen-reader announcements for keyboard navigation
+        this.liveRegion = createLiveRegion(this.container);
     }
 
     /**
@@ -396,6 +449,54 @@ class CytoscapeNetworkGraph {
                     'opacity': 0.15
                 }
             },
+            // Keyboard focus
+            {
+                selector: 'node.keyboard-focus',
+                style: {
+                    'border-color': '#0ea5e9',
+                    'border-width': 5,
+                    'z-index': 1000
+                }
+            },
+            // Group (compound parent)
+            {
+                selector: 'node[?isGroup]',
+                style: {
+                    'shape': 'round-rectangle',
+                    'background-color': '#667eea',
+                    'background-opacity': 0.08,
+                    'border-width': 2,
+                    'border-style': 'dashed',
+                    'border-color': '#667eea',
+                    'text-valign': 'top',
+                    'text-margin-y': -6,
+                    'font-weight': '600',
+                    'color': '#4338ca',
+                    'padding': '20px'
+                }
+            },
+            // Collapsed group standing in for its members
+            {
+                selector: 'node.group-collapsed',
+                style: {
+                    'width': 90,
+                    'height': 60,
+                    'background-opacity': 0.85,
+                    'border-style': 'solid',
+                    'text-valign': 'center',
+                    'text-margin-y': 0,
+                    'color': '#ffffff'
+                }
+            },
+            // Meta-edge aggregating the links into a collapsed group
+            {
+                selector: 'edge.meta-edge',
+                style: {
+                    'line-style': 'dashed',
+                    'target-arrow-shape': 'none',
+                    'opacity': 0.8
+                }
+            },
             // Hidden elements
             {
                 selector: '.hidden',
@@ -479,7 +580,7 @@ class CytoscapeNetworkGraph {
     /**
      * Apply layout to the graph
      */
-    applyLayout(layoutName = 'cose', options = {}) {
+    applyLayout(layoutName = 'cose', options = {}, recordHistory = true) {
         if (this.layoutRunning) {
             return;
         }
@@ -565,9 +666,13 @@ class CytoscapeNetworkGraph {
 
         const layoutConfig = layoutConfigs[layoutName] || layoutConfigs['cose'];
         const layout = this.cy.layout({ ...layoutConfig, ...options });
+        const before = this.capturePositions(this.cy.nodes());
 
         layout.on('layoutstop', () => {
             this.layoutRunning = false;
+            if (recordHistory) {
+                this.recordPositions(`${layoutName} layout`, before, this.capturePositions(this.cy.nodes()));
+            }
         });
 
         layout.run();
@@ -580,6 +685,7 @@ class CytoscapeNetworkGraph {
         // Node click
         this.cy.on('tap', 'node', async (event) => {
             const node = event.target;
+            if (node.data('isGroup')) return;
             if (this.dotNetHelper) {
                 try {
                     await this.dotNetHelper.invokeMethodAsync('OnNodeClicked', node.data('id'));
@@ -608,14 +714,35 @@ class CytoscapeNetworkGraph {
             }
         });
 
+        // Record drags for undo: everything that moves with the grabbed node
+        this.cy.on('grab', 'node', (event) => {
+            if (this.pendingMove) return;
+            const moving = event.target.selected() ? this.cy.nodes(':selected') : event.target;
+            this.pendingMove = this.capturePositions(moving);
+        });
+
+        this.cy.on('free', 'node', () => {
+            if (!this.pendingMove) return;
+            const before = this.pendingMove;
+            this.pendingMove = null;
+            this.recordPositions('Move', before, this.capturePositions(this.cy.collection(
+                Array.from(before.keys()).map(id => this.cy.getElementById(id)).filter(node => node.length)
+            )));
+        });
+
         // Selection change
         this.cy.on('select unselect', () => {
             this.selectedElements = this.cy.$(':selected').map(ele => ele.data('id'));
+            this.scheduleSelectionChanged();
         });
 
         // Double-click to expand
         this.cy.on('dbltap', 'node', async (event) => {
             const node = event.target;
+            if (node.data('isGroup')) {
+                this.toggleGroup(node.id());
+                return;
+            }
             if (this.dotNetHelper) {
                 try {
                     await this.dotNetHelper.invokeMethodAsync('OnNodeDoubleClicked', node.data('id'));
@@ -631,6 +758,252 @@ class CytoscapeNetworkGraph {
         }
     }
 
+    /**
+     * Report the selection to .NET once it stops changing, so a lasso or
+     * select-all sends one callback rather than one per element
+     */
+    scheduleSelectionChanged() {
+        clearTimeout(this.selectionTimer);
+        this.selectionTimer = setTimeout(() => this.notifySelectionChanged(), 150);
+    }
+
+    /**
+     * Send OnSelectionChanged(nodeIds, edgeIds) if the selection differs from the last one sent
+     */
+    async notifySelectionChanged() {
+        this.selectionTimer = null;
+        if (!this.cy) return;
+
+        const nodeIds = this.cy.nodes(':selected').map(node => node.id());
+        const edgeIds = this.cy.edges(':selected').map(edge => edge.id());
+        const key = JSON.stringify([nodeIds, edgeIds]);
+        if (key === this.lastSelectionKey) return;
+        this.lastSelectionKey = key;
+
+        if (this.dotNetHelper) {
+            try {
+                await this.dotNetHelper.invokeMethodAsync('OnSelectionChanged', nodeIds, edgeIds);
+            } catch (error) {
+                console.error('Error invoking OnSelectionChanged:', error);
+            }
+        }
+    }
+
+    /**
+     * Create the overlay that captures freehand lasso strokes while lasso mode is on
+     */
+    createLassoOverlay() {
+        const ns = 'http://www.w3.org/2000/svg';
+        const overlay = document.createElementNS(ns, 'svg');
+        overlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; z-index: 50; cursor: crosshair; touch-action: none; display: none;';
+
+        const path = document.createElementNS(ns, 'path');
+        path.setAttribute('fill', 'rgba(124, 58, 237, 0.08)');
+        path.setAttribute('stroke', '#7c3aed');
+        path.setAttribute('stroke-width', '1.5');
+        path.setAttribute('stroke-dasharray', '4,3');
+        overlay.appendChild(path);
+
+        const pointFor = (e) => {
+            const rect = overlay.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        overlay.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            if (overlay.setPointerCapture) overlay.setPointerCapture(e.pointerId);
+            // Shift adds to the selection, Alt removes from it, otherwise it is replaced
+            this.lasso = {
+                mode: e.altKey ? 'subtract' : e.shiftKey ? 'add' : 'replace',
+                points: [pointFor(e)]
+            };
+            path.setAttribute('d', '');
+        });
+
+        overlay.addEventListener('pointermove', (e) => {
+            if (!this.lasso) return;
+            const point = pointFor(e);
+            const last = this.lasso.points[this.lasso.points.length - 1];
+            if (Math.abs(point.x - last.x) + Math.abs(point.y - last.y) < 3) return;
+            this.lasso.points.push(point);
+            path.setAttribute('d', 'M' + this.lasso.points.map(p => `${p.x},${p.y}`).join('L') + 'Z');
+        });
+
+        const finish = (e) => {
+            if (!this.lasso) return;
+            const lasso = this.lasso;
+            this.lasso = null;
+            path.setAttribute('d', '');
+            if (e.type === 'pointerup') {
+                this.applyLasso(lasso.points, lasso.mode);
+            }
+        };
+        overlay.addEventListener('pointerup', finish);
+        overlay.addEventListener('pointercancel', finish);
+
+        this.container.appendChild(overlay);
+        this.lassoOverlay = overlay;
+    }
+
+    /**
+     * Turn freehand lasso mode on or off. While on, dragging draws a lasso
+     * instead of panning or moving nodes.
+     */
+    setLassoMode(active) {
+        this.lassoActive = !!active;
+        this.lasso = null;
+        if (this.lassoOverlay) {
+            this.lassoOverlay.style.display = this.lassoActive ? 'block' : 'none';
+        }
+
+        const button = this.toolbarButtons.lasso;
+        if (button) {
+            button.style.background = this.lassoActive ? '#ede9fe' : 'white';
+            button.onmouseleave = () => button.style.background = this.lassoActive ? '#ede9fe' : 'white';
+            button.setAttribute('aria-pressed', String(this.lassoActive));
+        }
+        return this.lassoActive;
+    }
+
+    /**
+     * Select the visible nodes inside a lasso drawn in rendered (screen)
+     * coordinates, and the edges between them
+     */
+    applyLasso(points, mode = 'replace') {
+        if (points.length < 3) return;
+
+        const nodes = this.cy.nodes(':visible').filter(node => pointInPolygon(node.renderedPosition(), points));
+        const edges = nodes.edgesWith(nodes).filter(':visible');
+        const enclosed = nodes.union(edges);
+
+        this.cy.batch(() => {
+            if (mode === 'subtract') {
+                enclosed.unselect();
+                return;
+            }
+            if (mode === 'replace') {
+                this.cy.elements().not(enclosed).unselect();
+            }
+            enclosed.select();
+        });
+    }
+
+    /**
+     * Setup keyboard navigation: arrow keys move between connected nodes,
+     * Enter opens, Space selects, Home returns to the center entity and
+     * Shift+F10 opens the context menu
+     */
+    setupKeyboardNavigation() {
+        this.canvasContainer.addEventListener('focus', () => {
+            if (this.keyboardNode && this.keyboardNode.inside()) {
+                this.setKeyboardFocus(this.keyboardNode);
+                return;
+            }
+            // Start from the selection, else the center entity, else any visible node
+            let start = this.cy.nodes(':selected:visible');
+            if (start.empty()) start = this.cy.nodes('[?isCenter]:visible');
+            if (start.empty()) start = this.cy.nodes(':visible');
+            if (start.nonempty()) this.setKeyboardFocus(start.first());
+        });
+
+        this.canvasContainer.addEventListener('blur', () => {
+            if (this.keyboardNode) this.keyboardNode.removeClass('keyboard-focus');
+        });
+
+        this.canvasContainer.addEventListener('keydown', (e) => {
+            const node = this.keyboardNode;
+            if (!node || !node.inside()) return;
+
+            let handled = true;
+            if (ARROW_DIRECTIONS[e.key]) {
+                this.moveKeyboardFocus(ARROW_DIRECTIONS[e.key]);
+            } else if (e.key === 'Enter') {
+                this.activateNode(node);
+            } else if (e.key === ' ') {
+                if (node.selected()) node.unselect();
+                else node.select();
+                announce(this.liveRegion, this.describeNode(node));
+            } else if (e.key === 'Home') {
+                const center = this.cy.nodes('[?isCenter]');
+                if (center.nonempty()) this.setKeyboardFocus(center.first());
+            } else if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+                const position = node.renderedPosition();
+                this.showContextMenu(position.x, position.y, 'node', node);
+            } else {
+                handled = false;
+            }
+
+            // Keep arrows from scrolling the page and Space from reaching the global shortcuts
+            if (handled) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        });
+    }
+
+    /**
+     * Spoken description of a node
+     */
+    describeNode(node) {
+        return describeEntity({
+            type: node.data('entityType'),
+            name: node.data('label'),
+            riskScore: node.data('riskScore'),
+            connections: node.connectedEdges().length,
+            selected: node.selected()
+        });
+    }
+
+    /**
+     * Move keyboard focus to a node, panning it into view and announcing it
+     */
+    setKeyboardFocus(node) {
+        if (this.keyboardNode) this.keyboardNode.removeClass('keyboard-focus');
+        this.keyboardNode = node;
+        node.addClass('keyboard-focus');
+
+        const extent = this.cy.extent();
+        const position = node.position();
+        if (position.x < extent.x1 || position.x > extent.x2 || position.y < extent.y1 || position.y > extent.y2) {
+            this.cy.animate({ center: { eles: node } }, { duration: 250 });
+        }
+
+        announce(this.liveRegion, this.describeNode(node));
+    }
+
+    /**
+     * Move keyboard focus to the connected node best matching an arrow direction
+     */
+    moveKeyboardFocus(direction) {
+        const node = this.keyboardNode;
+        const from = node.position();
+        const neighbours = node.neighborhood('node:visible').filter(other => other.id() !== node.id());
+        const candidates = neighbours.map(other => ({ id: other.id(), ...other.position() }));
+
+        const next = pickNeighbour(from, candidates, direction);
+        if (!next) {
+            announce(this.liveRegion, candidates.length > 0
+                ? `No connected entity ${direction.name}`
+                : 'No connected entities');
+            return;
+        }
+        this.setKeyboardFocus(this.cy.getElementById(next.id));
+    }
+
+    /**
+     * Keyboard equivalent of tapping a node
+     */
+    async activateNode(node) {
+        if (this.dotNetHelper) {
+            try {
+                await this.dotNetHelper.invokeMethodAsync('OnNodeClicked', node.data('id'));
+            } catch (error) {
+                console.error('Error invoking OnNodeClicked:', error);
+            }
+        }
+    }
+
     /**
      * Setup context menu
      */
@@ -726,7 +1099,23 @@ class CytoscapeNetworkGraph {
      * Get context menu items based on type
      */
     getContextMenuItems(type, element) {
-        if (type === 'node') {
+        if (type === 'node' && element.data('isGroup')) {
+            const group = this.groups.get(element.id());
+            return [
+                {
+                    label: group && group.collapsed ? '📂 Expand Group' : '📁 Collapse Group',
+                    action: (node) => {
+                        this.toggleGroup(node.id());
+                    }
+                },
+                {
+                    label: '🗂️ Ungroup',
+                    action: (node) => {
+                        this.removeGroup(node.id());
+                    }
+                }
+            ];
+        } else if (type === 'node') {
             return [
                 {
                     label: '🔍 View Details',
@@ -748,7 +1137,7 @@ class CytoscapeNetworkGraph {
                 {
                     label: '👁️ Hide Node',
                     action: (node) => {
-                        node.addClass('hidden');
+                        this.hideElements(node, 'Hide node');
                     }
                 },
                 {
@@ -761,6 +1150,9 @@ class CytoscapeNetworkGraph {
                 {
                     label: '🏷️ Add to Group',
                     action: (node) => {
+                        // Groups the whole selection when the node is part of it
+                        const nodeIds = node.selected() ? this.cy.nodes(':selected').map(selected => selected.id()) : [node.id()];
+                        this.createGroup(nodeIds);
                         if (this.dotNetHelper) {
                             this.dotNetHelper.invokeMethodAsync('OnAddToGroup', node.data('id'));
                         }
@@ -788,7 +1180,7 @@ class CytoscapeNetworkGraph {
                 {
                     label: '👁️ Hide Edge',
                     action: (edge) => {
-                        edge.addClass('hidden');
+                        this.hideElements(edge, 'Hide edge');
                     }
                 }
             ];
@@ -843,6 +1235,9 @@ class CytoscapeNetworkGraph {
         `;
 
         const buttons = [
+            { icon: '↶', title: 'Undo', action: () => this.undo(), key: 'undo' },
+            { icon: '↷', title: 'Redo', action: () => this.redo(), key: 'redo' },
+            { icon: '➰', title: 'Lasso Select (Shift adds, Alt removes)', action: () => this.setLassoMode(!this.lassoActive), key: 'lasso' },
             { icon: '↻', title: 'Reset Layout', action: () => this.resetLayout() },
             { icon: '+', title: 'Zoom In', action: () => this.zoomIn() },
             { icon: '−', title: 'Zoom Out', action: () => this.zoomOut() },
@@ -871,10 +1266,385 @@ class CytoscapeNetworkGraph {
             button.onmouseenter = () => button.style.background = '#f1f5f9';
             button.onmouseleave = () => button.style.background = 'white';
             button.onclick = btn.action;
+            if (btn.key) {
+                this.toolbarButtons[btn.key] = button;
+            }
             toolbar.appendChild(button);
         });
 
         this.container.appendChild(toolbar);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Enable the undo/redo buttons to match the history
+     */
+    updateHistoryButtons() {
+        const labels = this.history.peek();
+        [['undo', 'Undo', labels.undo], ['redo', 'Redo', labels.redo]].forEach(([key, verb, label]) => {
+            const button = this.toolbarButtons[key];
+            if (!button) return;
+            button.disabled = !label;
+            button.style.opacity = label ? '1' : '0.4';
+            button.style.cursor = label ? 'pointer' : 'default';
+            button.title = label ? `${verb} ${label}` : verb;
+        });
+    }
+
+    /**
+     * History changed: refresh the buttons and tell .NET so its toolbar can follow
+     */
+    async onHistoryChanged() {
+        this.updateHistoryButtons();
+        if (this.dotNetHelper) {
+            try {
+                await this.dotNetHelper.invokeMethodAsync('OnHistoryChanged', this.history.canUndo(), this.history.canRedo());
+            } catch (error) {
+                console.error('Error invoking OnHistoryChanged:', error);
+            }
+        }
+    }
+
+    /**
+     * Undo the last edit; returns its label, or null if there was nothing to undo
+     */
+    undo() {
+        return this.history.undo();
+    }
+
+    /**
+     * Redo the last undone edit; returns its label, or null if there was nothing to redo
+     */
+    redo() {
+        return this.history.redo();
+    }
+
+    /**
+     * Node positions keyed by id
+     */
+    capturePositions(nodes) {
+        const positions = new Map();
+        nodes.forEach(node => {
+            positions.set(node.id(), { ...node.position() });
+        });
+        return positions;
+    }
+
+    /**
+     * Put nodes back at captured positions, skipping any removed since
+     */
+    restorePositions(positions) {
+        this.cy.batch(() => {
+            positions.forEach((position, id) => {
+                const node = this.cy.getElementById(id);
+                if (node.length) {
+                    node.position(position);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record a move or layout if any node actually moved
+     */
+    recordPositions(label, before, after) {
+        const moved = Array.from(after).some(([id, position]) => {
+            const previous = before.get(id);
+            return !previous || Math.abs(previous.x - position.x) > 0.5 || Math.abs(previous.y - position.y) > 0.5;
+        });
+        if (!moved) return;
+
+        this.history.record({
+            label,
+            undo: () => this.restorePositions(before),
+            redo: () => this.restorePositions(after)
+        });
+    }
+
+    /**
+     * Hide nodes or edges, undoably
+     */
+    hideElements(elements, label) {
+        const shown = elements.not('.hidden');
+        if (shown.empty()) return;
+
+        shown.addClass('hidden');
+        this.history.record({
+            label,
+            undo: () => shown.removeClass('hidden'),
+            redo: () => shown.addClass('hidden')
+        });
+    }
+
+    /**
+     * Remove nodes or edges, undoably. Edges of removed nodes go with them.
+     */
+    removeElements(elements, label) {
+        const removed = elements.remove();
+        this.history.record({
+            label,
+            undo: () => removed.restore(),
+            redo: () => removed.remove()
+        });
+    }
+
+    /**
+     * Add elements, undoably
+     */
+    addElements(definition, label) {
+        const added = this.cy.add(definition);
+        this.history.record({
+            label,
+            undo: () => added.remove(),
+            redo: () => added.restore()
+        });
+        return added;
+    }
+
+    /**
+     * Put nodes under a new labelled compound parent, undoably. Defaults to
+     * the selected nodes; groups and nodes already in a group are skipped.
+     * Returns the new group id, or null if there was nothing to group.
+     */
+    createGroup(nodeIds = null, label = null) {
+        const candidates = nodeIds
+            ? this.cy.nodes().filter(node => nodeIds.includes(node.id()))
+            : this.cy.nodes(':selected');
+        const memberIds = candidates.filter(node => node.isOrphan() && !node.data('isGroup')).map(node => node.id());
+        if (memberIds.length === 0) return null;
+
+        let groupId;
+        do {
+            groupId = `group-${++this.groupCounter}`;
+        } while (this.cy.getElementById(groupId).length || this.groups.has(groupId));
+        const groupLabel = label || `Group ${this.groupCounter}`;
+
+        this.groupNodes(groupId, groupLabel, memberIds);
+        this.history.record({
+            label: 'Group',
+            undo: () => this.ungroupNodes(groupId),
+            redo: () => this.groupNodes(groupId, groupLabel, memberIds)
+        });
+        return groupId;
+    }
+
+    /**
+     * Dissolve a group, undoably: its members stay where they are
+     */
+    removeGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return false;
+
+        const { label, collapsed } = group;
+        const memberIds = this.groupMemberIds(groupId);
+        this.ungroupNodes(groupId);
+        this.history.record({
+            label: 'Ungroup',
+            undo: () => {
+                this.groupNodes(groupId, label, memberIds);
+                if (collapsed) this.setGroupCollapsed(groupId, true);
+            },
+            redo: () => this.ungroupNodes(groupId)
+        });
+        return true;
+    }
+
+    /**
+     * Collapse a group into one node showing its member count, undoably
+     */
+    collapseGroup(groupId) {
+        return this.recordGroupToggle(groupId, true);
+    }
+
+    /**
+     * Expand a collapsed group back into its members, undoably
+     */
+    expandGroup(groupId) {
+        return this.recordGroupToggle(groupId, false);
+    }
+
+    toggleGroup(groupId) {
+        const group = this.groups.get(groupId);
+        return group ? this.recordGroupToggle(groupId, !group.collapsed) : false;
+    }
+
+    recordGroupToggle(groupId, collapsed) {
+        if (!this.setGroupCollapsed(groupId, collapsed)) return false;
+        this.history.record({
+            label: collapsed ? 'Collapse group' : 'Expand group',
+            undo: () => this.setGroupCollapsed(groupId, !collapsed),
+            redo: () => this.setGroupCollapsed(groupId, collapsed)
+        });
+        return true;
+    }
+
+    /**
+     * Add the compound parent and move the nodes into it (not recorded)
+     */
+    groupNodes(groupId, label, memberIds) {
+        const members = this.cy.nodes().filter(node => memberIds.includes(node.id()) && node.isOrphan());
+        if (members.empty()) return false;
+
+        this.cy.add({
+            group: 'nodes',
+            data: { id: groupId, label, entityType: 'Group', isGroup: true }
+        });
+        members.move({ parent: groupId });
+        this.groups.set(groupId, { id: groupId, label, collapsed: false, members: null, offsets: null });
+        this.onGroupsChanged();
+        return true;
+    }
+
+    /**
+     * Move a group's members out and remove the parent (not recorded)
+     */
+    ungroupNodes(groupId) {
+        if (!this.groups.has(groupId)) return false;
+
+        this.setGroupCollapsed(groupId, false);
+        const parent = this.cy.getElementById(groupId);
+        parent.children().move({ parent: null });
+        parent.remove();
+        this.groups.delete(groupId);
+        this.onGroupsChanged();
+        return true;
+    }
+
+    /**
+     * Collapse or expand a group (not recorded). Collapsing takes the members
+     * and their edges out of cy and links the group node to the outside with
+     * one meta-edge per neighbour; expanding puts the members back around
+     * wherever the group node now is.
+     */
+    setGroupCollapsed(groupId, collapsed) {
+        const group = this.groups.get(groupId);
+        const parent = this.cy.getElementById(groupId);
+        if (!group || !parent.length || group.collapsed === collapsed) return false;
+
+        if (collapsed) {
+            const members = parent.children();
+            const center = { ...parent.position() };
+            group.offsets = new Map(members.map(node => [node.id(), {
+                x: node.position('x') - center.x,
+                y: node.position('y') - center.y
+            }]));
+            this.parkEdges(members.connectedEdges().not('.meta-edge'));
+            group.members = members.remove().nodes();
+            parent.position(center);
+            parent.data({ label: `${group.label} (${group.members.length})`, memberCount: group.members.length });
+            parent.addClass('group-collapsed');
+        } else {
+            const center = { ...parent.position() };
+            parent.removeClass('group-collapsed');
+            parent.removeData('memberCount');
+            parent.data('label', group.label);
+            group.members.restore();
+            group.members.forEach(node => {
+                const offset = group.offsets.get(node.id()) || { x: 0, y: 0 };
+                node.position({ x: center.x + offset.x, y: center.y + offset.y });
+            });
+            group.members = null;
+            group.offsets = null;
+        }
+
+        group.collapsed = collapsed;
+        this.syncMetaEdges();
+        this.onGroupsChanged();
+        return true;
+    }
+
+    parkEdges(edges) {
+        edges.remove().forEach(edge => this.parkedEdges.set(edge.id(), edge));
+    }
+
+    /**
+     * The node an edge end is drawn to: the node itself, the collapsed group
+     * hiding it, or null if it is gone
+     */
+    visibleEndpoint(nodeId) {
+        if (this.cy.getElementById(nodeId).length) return nodeId;
+        for (const group of this.groups.values()) {
+            if (group.collapsed && group.members.some(node => node.id() === nodeId)) return group.id;
+        }
+        return null;
+    }
+
+    /**
+     * Put back parked edges whose ends are both visible again and redraw the
+     * meta-edges: one per pair of visible ends, as strong as its strongest link
+     */
+    syncMetaEdges() {
+        this.cy.edges('.meta-edge').remove();
+
+        const strengthRank = { 'Weak': 1, 'Medium': 2, 'Strong': 3 };
+        const links = new Map();
+        this.parkedEdges.forEach((edge, edgeId) => {
+            const source = this.visibleEndpoint(edge.data('source'));
+            const target = this.visibleEndpoint(edge.data('target'));
+            if (!source || !target) return;
+            if (source === edge.data('source') && target === edge.data('target')) {
+                edge.restore();
+                this.parkedEdges.delete(edgeId);
+                return;
+            }
+            if (source === target) return;
+
+            const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+            const link = links.get(key);
+            if (!link) {
+                links.set(key, { source, target, count: 1, strength: edge.data('strength'), label: edge.data('label') });
+                return;
+            }
+            link.count++;
+            if ((strengthRank[edge.data('strength')] || 2) > (strengthRank[link.strength] || 2)) link.strength = edge.data('strength');
+        });
+
+        this.cy.add(Array.from(links.entries()).map(([key, link]) => ({
+            group: 'edges',
+            classes: 'meta-edge',
+            data: {
+                id: `meta:${key}`,
+                source: link.source,
+                target: link.target,
+                label: link.count > 1 ? `${link.count} links` : link.label,
+                strength: link.strength || 'Medium',
+                count: link.count,
+                isMeta: true
+            }
+        })));
+    }
+
+    groupMemberIds(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return [];
+        return group.collapsed
+            ? group.members.map(node => node.id())
+            : this.cy.getElementById(groupId).children().map(node => node.id());
+    }
+
+    /**
+     * Groups as plain data: [{ id, label, collapsed, memberIds }]
+     */
+    getGroups() {
+        return Array.from(this.groups.values()).map(group => ({
+            id: group.id,
+            label: group.label,
+            collapsed: group.collapsed,
+            memberIds: this.groupMemberIds(group.id)
+        }));
+    }
+
+    /**
+     * Tell .NET the groups changed
+     */
+    async onGroupsChanged() {
+        if (this.dotNetHelper) {
+            try {
+                await this.dotNetHelper.invokeMethodAsync('OnGroupsChanged', this.getGroups());
+            } catch (error) {
+                console.error('Error invoking OnGroupsChanged:', error);
+            }
+        }
     }
 
     /**
@@ -912,6 +1682,29 @@ class CytoscapeNetworkGraph {
         this.container.appendChild(legend);
     }
 
+    /**
+     * Create the minimap navigator in the configured corner
+     */
+    createMinimap() {
+        this.minimap = new Minimap(this.cy, this.container, {
+            position: this.config.minimapPosition,
+            width: this.config.minimapWidth,
+            height: this.config.minimapHeight
+        });
+    }
+
+    /**
+     * Show or hide the minimap, creating it on first use
+     */
+    setMinimapVisible(visible) {
+        if (!this.minimap) {
+            if (!visible) return false;
+            this.createMinimap();
+        }
+        this.minimap.setVisible(visible);
+        return !!visible;
+    }
+
     /**
      * Zoom in
      */
@@ -1023,6 +1816,7 @@ class CytoscapeNetworkGraph {
      * Export graph as image
      */
     exportImage(format = 'png', filename = 'network-graph') {
+        // Only the cy canvas is rendered, so the minimap and toolbar overlays stay out of the image
         const imageData = this.cy.png({
             output: 'blob',
             bg: '#ffffff',
@@ -1044,14 +1838,203 @@ class CytoscapeNetworkGraph {
      */
     exportJSON() {
         const json = this.cy.json();
-        const dataStr = JSON.stringify(json, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'network-graph.json';
-        link.click();
-        URL.revokeObjectURL(url);
+        json.elements = this.getExportElements();
+        json.groups = this.getGroups();
+        downloadFile(JSON.stringify(json, null, 2), 'network-graph.json', 'application/json');
+    }
+
+    /**
+     * Export graph as GraphML
+     */
+    exportGraphML(filename = 'network-graph') {
+        downloadFile(toGraphML(this.getExportElements()), `${filename}.graphml`, 'application/graphml+xml');
+    }
+
+    /**
+     * Export graph as GEXF (Gephi)
+     */
+    exportGEXF(filename = 'network-graph') {
+        downloadFile(toGEXF(this.getExportElements()), `${filename}.gexf`, 'application/gexf+xml');
+    }
+
+    /**
+     * Every node and edge as element JSON ({ nodes, edges }). Collapsed
+     * members and their edges are parked outside cy, so they are added back;
+     * meta-edges only stand in for them and are left out.
+     */
+    getExportElements() {
+        const nodes = this.cy.nodes().map(node => node.json());
+        nodes.forEach(node => {
+            // A collapsed group's label carries its member count
+            const group = this.groups.get(node.data.id);
+            if (!group) return;
+            node.data.label = group.label;
+            delete node.data.memberCount;
+        });
+        this.groups.forEach(group => {
+            if (group.collapsed) nodes.push(...group.members.map(node => node.json()));
+        });
+        const edges = this.cy.edges().not('.meta-edge').map(edge => edge.json())
+            .concat(Array.from(this.parkedEdges.values()).map(edge => edge.json()));
+        return { nodes, edges };
+    }
+
+    /**
+     * Load a file written by exportJSON (a cy.json() object or its text),
+     * replacing the current graph. Returns the number of nodes loaded, or
+     * false if the file could not be read.
+     */
+    importJSON(json) {
+        try {
+            const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+            const elements = parsed && parsed.elements;
+            if (!elements) {
+                throw new Error('Invalid graph JSON: missing elements');
+            }
+
+            // cy.json() groups elements as { nodes, edges }; cy.add() also accepts one array
+            const list = Array.isArray(elements)
+                ? elements
+                : [
+                    ...(elements.nodes || []).map(node => ({ ...node, group: 'nodes' })),
+                    ...(elements.edges || []).map(edge => ({ ...edge, group: 'edges' }))
+                ];
+            const isEdge = element => element.group === 'edges' || (element.group !== 'nodes' && element.data.source !== undefined);
+            const valid = list.filter(element => element && element.data && element.data.id !== undefined);
+
+            return this.loadElements(
+                { nodes: valid.filter(element => !isEdge(element)), edges: valid.filter(isEdge) },
+                parsed.groups || [],
+                { zoom: parsed.zoom, pan: parsed.pan }
+            );
+        } catch (error) {
+            console.error('Error importing JSON:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a GraphML document, replacing the current graph. Returns the
+     * number of nodes loaded, or false if it could not be read.
+     */
+    importGraphML(text) {
+        try {
+            return this.loadElements(fromGraphML(text));
+        } catch (error) {
+            console.error('Error importing GraphML:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a GEXF document, replacing the current graph. Returns the number
+     * of nodes loaded, or false if it could not be read.
+     */
+    importGEXF(text) {
+        try {
+            return this.loadElements(fromGEXF(text));
+        } catch (error) {
+            console.error('Error importing GEXF:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the graph with imported element JSON. Nodes with members become
+     * groups (`groups` restores their labels and collapsed state) and edges
+     * to missing nodes are dropped. The saved view is restored when every
+     * node has a position, otherwise the configured layout runs. Undo
+     * history starts afresh.
+     */
+    loadElements({ nodes, edges }, groups = [], view = null) {
+        // Nodes without an id, and repeats of an id, would make cy.add() throw part way
+        const nodeIds = new Set();
+        nodes = nodes.filter(node => {
+            const id = node.data.id;
+            if (id === undefined || id === null || id === '' || nodeIds.has(String(id))) return false;
+            nodeIds.add(String(id));
+            return true;
+        }).map(node => ({ ...node, data: { ...node.data, id: String(node.data.id) } }));
+        const parentIds = new Set(nodes.map(node => node.data.parent).filter(id => nodeIds.has(id)));
+
+        const nodeDefinitions = nodes.map(node => {
+            const data = { ...node.data };
+            if (!parentIds.has(data.parent)) delete data.parent;
+            delete data.memberCount;
+            if (parentIds.has(data.id)) {
+                data.isGroup = true;
+                data.entityType = 'Group';
+                delete data.icon;
+            } else if (this.config.enableIcons) {
+                data.icon = this.getEntityIcon(data.entityType);
+            }
+
+            const definition = { group: 'nodes', data };
+            if (node.position) definition.position = { x: node.position.x, y: node.position.y };
+            return definition;
+        });
+        // Parents before their members
+        nodeDefinitions.sort((a, b) => (parentIds.has(b.data.id) ? 1 : 0) - (parentIds.has(a.data.id) ? 1 : 0));
+
+        // Edge ids are compared as strings like node ids; cy generates one when it is missing
+        const edgeIds = new Set();
+        const edgeDefinitions = [];
+        edges.forEach(edge => {
+            if (edge.data.isMeta) return;
+            const data = { ...edge.data, source: String(edge.data.source), target: String(edge.data.target) };
+            if (data.id === undefined || data.id === null || data.id === '') {
+                delete data.id;
+            } else {
+                data.id = String(data.id);
+                if (edgeIds.has(data.id) || nodeIds.has(data.id)) return;
+                edgeIds.add(data.id);
+            }
+            if (!nodeIds.has(data.source) || !nodeIds.has(data.target)) return;
+            edgeDefinitions.push({ group: 'edges', data });
+        });
+
+        // Swap the elements first; if cy rejects the new ones the current graph is put back untouched
+        const previous = this.cy.elements().remove();
+        try {
+            this.cy.add([...nodeDefinitions, ...edgeDefinitions]);
+        } catch (error) {
+            this.cy.elements().remove();
+            previous.restore();
+            throw error;
+        }
+
+        this.hideContextMenu();
+        this.groups.clear();
+        this.parkedEdges.clear();
+        this.keyboardNode = null;
+        this.highlightedPath = [];
+
+        parentIds.forEach(groupId => {
+            const saved = groups.find(group => group.id === groupId) || {};
+            const parent = this.cy.getElementById(groupId);
+            const label = saved.label || parent.data('label') || groupId;
+            parent.data('label', label);
+            this.groups.set(groupId, { id: groupId, label, collapsed: false, members: null, offsets: null });
+
+            const number = /^group-(\d+)$/.exec(groupId);
+            if (number) this.groupCounter = Math.max(this.groupCounter, Number(number[1]));
+        });
+        groups.forEach(group => {
+            if (group.collapsed && this.groups.has(group.id)) this.setGroupCollapsed(group.id, true);
+        });
+
+        const positioned = nodeDefinitions.length > 0 && nodeDefinitions.every(node => node.position || node.data.isGroup);
+        if (!positioned) {
+            this.applyLayout(this.config.layout, {}, false);
+        } else if (view && Number.isFinite(view.zoom) && view.pan) {
+            this.cy.viewport({ zoom: view.zoom, pan: view.pan });
+        } else {
+            this.fitToView();
+        }
+
+        this.history.clear();
+        if (parentIds.size > 0) this.onGroupsChanged();
+        return nodeIds.size - parentIds.size;
     }
 
     /**
@@ -1085,8 +2068,9 @@ class CytoscapeNetworkGraph {
             element.data.icon = this.getEntityIcon(nodeData.type);
         }
 
-        this.cy.add(element);
-        this.applyLayout(this.config.layout);
+        this.addElements(element, 'Add node');
+        // Part of the add, so one undo takes the node away rather than just the re-layout
+        this.applyLayout(this.config.layout, {}, false);
     }
 
     /**
@@ -1095,7 +2079,7 @@ class CytoscapeNetworkGraph {
     removeNode(nodeId) {
         const node = this.cy.getElementById(nodeId);
         if (node.length) {
-            node.remove();
+            this.removeElements(node, 'Remove node');
         }
     }
 
@@ -1103,7 +2087,7 @@ class CytoscapeNetworkGraph {
      * Add edge
      */
     addEdge(edgeData) {
-        this.cy.add({
+        this.addElements({
             group: 'edges',
             data: {
                 id: edgeData.id,
@@ -1113,7 +2097,7 @@ class CytoscapeNetworkGraph {
                 strength: edgeData.strength || 'Medium',
                 rawData: edgeData
             }
-        });
+        }, 'Add edge');
     }
 
     /**
@@ -1122,7 +2106,7 @@ class CytoscapeNetworkGraph {
     removeEdge(edgeId) {
         const edge = this.cy.getElementById(edgeId);
         if (edge.length) {
-            edge.remove();
+            this.removeElements(edge, 'Remove edge');
         }
     }
 
@@ -1130,6 +2114,11 @@ class CytoscapeNetworkGraph {
      * Destroy the graph
      */
     destroy() {
+        clearTimeout(this.selectionTimer);
+        if (this.minimap) {
+            this.minimap.destroy();
+            this.minimap = null;
+        }
         if (this.cy) {
             this.cy.destroy();
             this.cy = null;
@@ -1251,6 +2240,13 @@ export function clearHighlight(elementId) {
     return false;
 }
 
+export function setMinimapVisible(elementId, visible) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).setMinimapVisible(visible);
+    }
+    return false;
+}
+
 export function exportImage(elementId, format = 'png', filename = 'network-graph') {
     if (cytoscapeGraphs.has(elementId)) {
         cytoscapeGraphs.get(elementId).exportImage(format, filename);
@@ -1259,6 +2255,41 @@ export function exportImage(elementId, format = 'png', filename = 'network-graph
     return false;
 }
 
+export function createGroup(elementId, nodeIds = null, label = null) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).createGroup(nodeIds, label);
+    }
+    return null;
+}
+
+export function removeGroup(elementId, groupId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).removeGroup(groupId);
+    }
+    return false;
+}
+
+export function collapseGroup(elementId, groupId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).collapseGroup(groupId);
+    }
+    return false;
+}
+
+export function expandGroup(elementId, groupId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).expandGroup(groupId);
+    }
+    return false;
+}
+
+export function getGroups(elementId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).getGroups();
+    }
+    return [];
+}
+
 export function exportJSON(elementId) {
     if (cytoscapeGraphs.has(elementId)) {
         cytoscapeGraphs.get(elementId).exportJSON();
@@ -1267,6 +2298,43 @@ export function exportJSON(elementId) {
     return false;
 }
 
+export function exportGraphML(elementId, filename = 'network-graph') {
+    if (cytoscapeGraphs.has(elementId)) {
+        cytoscapeGraphs.get(elementId).exportGraphML(filename);
+        return true;
+    }
+    return false;
+}
+
+export function exportGEXF(elementId, filename = 'network-graph') {
+    if (cytoscapeGraphs.has(elementId)) {
+        cytoscapeGraphs.get(elementId).exportGEXF(filename);
+        return true;
+    }
+    return false;
+}
+
+export function importJSON(elementId, json) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).importJSON(json);
+    }
+    return false;
+}
+
+export function importGraphML(elementId, text) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).importGraphML(text);
+    }
+    return false;
+}
+
+export function importGEXF(elementId, text) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).importGEXF(text);
+    }
+    return false;
+}
+
 export function getStatistics(elementId) {
     if (cytoscapeGraphs.has(elementId)) {
         return cytoscapeGraphs.get(elementId).getStatistics();
@@ -1320,6 +2388,41 @@ export function removeEdge(elementId, edgeId) {
     return false;
 }
 
+export function undo(elementId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).undo();
+    }
+    return null;
+}
+
+export function redo(elementId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).redo();
+    }
+    return null;
+}
+
+export function canUndo(elementId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).history.canUndo();
+    }
+    return false;
+}
+
+export function canRedo(elementId) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).history.canRedo();
+    }
+    return false;
+}
+
+export function setLassoMode(elementId, active) {
+    if (cytoscapeGraphs.has(elementId)) {
+        return cytoscapeGraphs.get(elementId).setLassoMode(active);
+    }
+    return false;
+}
+
 // Also expose on window for backward compatibility
 window.CytoscapeNetworkGraph = {
     render,
@@ -1334,13 +2437,29 @@ window.CytoscapeNetworkGraph = {
     highlightPath,
     clearSelection,
     clearHighlight,
+    setMinimapVisible,
     exportImage,
+    createGroup,
+    removeGroup,
+    collapseGroup,
+    expandGroup,
+    getGroups,
     exportJSON,
+    exportGraphML,
+    exportGEXF,
+    importJSON,
+    importGraphML,
+    importGEXF,
     getStatistics,
     getNodeCount,
     getEdgeCount,
     addNode,
     removeNode,
     addEdge,
-    removeEdge
+    removeEdge,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    setLassoMode
 };
@@ -12,6 +12,8 @@ export function initialize(helper) {
     // Define keyboard shortcuts
     shortcuts.set('ctrl+s', { action: 'saveView', description: 'Save current view' });
     shortcuts.set('ctrl+f', { action: 'focusSearch', description: 'Focus search box' });
+    shortcuts.set('f3', { action: 'nextMatch', description: 'Go to next search match' });
+    shortcuts.set('shift+f3', { action: 'previousMatch', description: 'Go to previous search match' });
     shortcuts.set('ctrl+z', { action: 'undo', description: 'Undo last action' });
     shortcuts.set('ctrl+y', { action: 'redo', description: 'Redo last action' });
     shortcuts.set('delete', { action: 'deleteSelected', description: 'Delete selected nodes' });
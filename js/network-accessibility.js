@@ -0,0 +1,76 @@
+// Keyboard and Screen-Reader Helpers
+// Shared by NetworkGraph and CytoscapeNetworkGraph
+
+// Arrow keys as screen directions (y grows downwards in both graphs)
+export const ARROW_DIRECTIONS = {
+    'ArrowUp': { x: 0, y: -1, name: 'above' },
+    'ArrowDown': { x: 0, y: 1, name: 'below' },
+    'ArrowLeft': { x: -1, y: 0, name: 'to the left' },
+    'ArrowRight': { x: 1, y: 0, name: 'to the right' }
+};
+
+// Neighbours more than this far off the arrow's direction are not candidates
+const MAX_ANGLE = (80 * Math.PI) / 180;
+
+/**
+ * Visually hidden polite live region for announcements.
+ */
+export function createLiveRegion(parent) {
+    const region = document.createElement('div');
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    region.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+    parent.appendChild(region);
+    return region;
+}
+
+/**
+ * Replace the live region's text. It is cleared first so that repeating the
+ * same message is still read out.
+ */
+export function announce(region, message) {
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+/**
+ * Spoken description of an entity, e.g. "Account ZANACO-123, risk 82, 5 connections".
+ */
+export function describeEntity({ type, name, riskScore, connections, selected }) {
+    const parts = [`${type ? type + ' ' : ''}${name}`];
+    if (riskScore !== undefined && riskScore !== null) parts.push(`risk ${Math.round(riskScore)}`);
+    parts.push(`${connections} ${connections === 1 ? 'connection' : 'connections'}`);
+    if (selected) parts.push('selected');
+    return parts.join(', ');
+}
+
+/**
+ * The neighbour best matching an arrow direction from `from`, trading the
+ * angle off that direction against distance so a close neighbour slightly
+ * off-axis beats a distant one straight ahead.
+ * Candidates are { id, x, y }; returns one of them or null.
+ */
+export function pickNeighbour(from, candidates, direction) {
+    let best = null;
+    let bestScore = Infinity;
+
+    candidates.forEach(candidate => {
+        const dx = candidate.x - from.x;
+        const dy = candidate.y - from.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return;
+
+        const angle = Math.acos(Math.max(-1, Math.min(1, (dx * direction.x + dy * direction.y) / distance)));
+        if (angle > MAX_ANGLE) return;
+
+        const score = angle * 300 + distance;
+        if (score < bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
@@ -0,0 +1,356 @@
+// Canvas Renderer for NetworkGraph
+// Draws every node and edge onto one <canvas> for graphs too large for an SVG element per node
+
+import { shapePoints } from './network-styles.js';
+import { DIFF_COLORS, riskChangeLabel } from './network-diff.js';
+
+// Below this on-screen node radius (px) icons, names and badges are skipped
+const DETAIL_RADIUS = 10;
+
+/**
+ * Renderer interface used by NetworkGraph when it is not drawing SVG itself:
+ * requestDraw(), hitTestNode(point), hitTestEdge(point, tolerance) and
+ * destroy(). Points are in graph units. Any object with these methods can be
+ * passed as the `renderer` render option, e.g. a WebGL implementation.
+ */
+export class CanvasRenderer {
+    constructor(graph, wrapper) {
+        this.graph = graph;
+        this.frame = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'graph-canvas';
+        // Events go to the SVG underneath, which still holds hulls and selection shapes
+        this.canvas.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
+        graph.svg.after(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.requestDraw());
+            this.resizeObserver.observe(wrapper);
+        }
+        this.requestDraw();
+    }
+
+    // Coalesce redraws into one per animation frame
+    requestDraw() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    // Same mapping as the SVG viewBox with the default "xMidYMid meet"
+    viewTransform() {
+        const rect = this.canvas.getBoundingClientRect();
+        const view = this.graph.viewBox;
+        const width = rect.width || 1;
+        const height = rect.height || 1;
+        const scale = Math.min(width / view.width, height / view.height);
+        return {
+            width,
+            height,
+            scale,
+            x: (width - view.width * scale) / 2 - view.x * scale,
+            y: (height - view.height * scale) / 2 - view.y * scale
+        };
+    }
+
+    draw() {
+        if (!this.context) return;
+
+        const graph = this.graph;
+        const ratio = window.devicePixelRatio || 1;
+        const view = this.viewTransform();
+        const pixelWidth = Math.round(view.width * ratio);
+        const pixelHeight = Math.round(view.height * ratio);
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+
+        const ctx = this.context;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, pixelWidth, pixelHeight);
+        ctx.setTransform(ratio * view.scale, 0, 0, ratio * view.scale, ratio * view.x, ratio * view.y);
+
+        // Visible area in graph units, for culling
+        const visible = {
+            x1: -view.x / view.scale,
+            y1: -view.y / view.scale,
+            x2: (view.width - view.x) / view.scale,
+            y2: (view.height - view.y) / view.scale
+        };
+        const onScreen = (x, y, margin) =>
+            x + margin >= visible.x1 && x - margin <= visible.x2 && y + margin >= visible.y1 && y - margin <= visible.y2;
+
+        this.drawEdges(ctx, view, onScreen);
+        this.drawNodes(ctx, view, onScreen);
+    }
+
+    drawEdges(ctx, view, onScreen) {
+        const graph = this.graph;
+        const slots = graph.edgeSlots();
+        const path = graph.pathHighlight;
+        const showLabels = view.scale >= 0.8;
+
+        graph.edges.forEach(edge => {
+            const source = graph.nodeIndex.get(edge.source);
+            const target = graph.nodeIndex.get(edge.target);
+            if (!source || !target) return;
+
+            const state = graph.edgeVisibility(edge);
+            if (state === 'hidden') return;
+
+            const reach = Math.abs(target.x - source.x) + Math.abs(target.y - source.y) + 80;
+            if (!onScreen((source.x + target.x) / 2, (source.y + target.y) / 2, reach)) return;
+
+            const geometry = graph.edgeGeometry(source, target, slots.get(edge.id));
+            const highlighted = path && path.edgeIds.has(edge.id);
+            const points = geometry.points;
+            const removed = edge.diffStatus === 'removed';
+            const color = highlighted ? '#3b82f6' : DIFF_COLORS[edge.diffStatus] || graph.getEdgeColor(edge.strength);
+
+            ctx.globalAlpha = (state === 'faded' ? 0.12 : highlighted ? 1 : 0.6) * (removed ? 0.35 : 1);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = highlighted ? 4 : graph.getEdgeWidth(edge.strength);
+            ctx.setLineDash(highlighted ? [] : removed ? [6, 4] : graph.getEdgeDash(edge.strength) || []);
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            if (points.length === 2) {
+                ctx.lineTo(points[1].x, points[1].y);
+            } else if (points.length === 3) {
+                ctx.quadraticCurveTo(points[1].x, points[1].y, points[2].x, points[2].y);
+            } else {
+                ctx.bezierCurveTo(points[1].x, points[1].y, points[2].x, points[2].y, points[3].x, points[3].y);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            if (edge.directed) {
+                const tip = points[points.length - 1];
+                const from = points[points.length - 2];
+                const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+                ctx.fillStyle = '#94a3b8';
+                ctx.beginPath();
+                ctx.moveTo(tip.x, tip.y);
+                ctx.lineTo(tip.x - 10 * Math.cos(angle) + 3.5 * Math.sin(angle), tip.y - 10 * Math.sin(angle) - 3.5 * Math.cos(angle));
+                ctx.lineTo(tip.x - 10 * Math.cos(angle) - 3.5 * Math.sin(angle), tip.y - 10 * Math.sin(angle) + 3.5 * Math.cos(angle));
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            if (showLabels) {
+                ctx.globalAlpha = state === 'faded' ? 0.12 : 1;
+                ctx.fillStyle = '#64748b';
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(edge.type, geometry.label.x, geometry.label.y);
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawNodes(ctx, view, onScreen) {
+        const graph = this.graph;
+        const path = graph.pathHighlight;
+        const keyboardNodeId = document.activeElement === graph.svg ? graph.keyboardNodeId : null;
+
+        graph.nodes.forEach(node => {
+            const state = graph.nodeVisibility(node);
+            if (state === 'hidden' || !onScreen(node.x, node.y, node.radius + 30)) return;
+
+            const selected = graph.selectedNodes.has(node.id);
+            const onPath = path && path.nodeIds.has(node.id);
+            const focused = graph.selectedNode === node;
+            const keyboardFocus = node.id === keyboardNodeId;
+            const grouped = !!node.groupCount || graph.expansions.has(node.id);
+
+            const diffColor = DIFF_COLORS[node.diffStatus];
+            const removed = node.diffStatus === 'removed';
+
+            ctx.globalAlpha = (state === 'faded' ? 0.12 : graph.pendingExpansions.has(node.id) ? 0.6 : 1) * (removed ? 0.35 : 1);
+
+            if (node.riskScore >= 60) {
+                ctx.strokeStyle = graph.getRiskColor(node.riskScore);
+                ctx.lineWidth = 3;
+                ctx.setLineDash([6, 3]);
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, node.radius + 6, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            ctx.setLineDash(removed ? [4, 3] : grouped ? [5, 3] : []);
+            ctx.shadowColor = focused || onPath ? 'rgba(59, 130, 246, 0.8)' : 'rgba(0, 0, 0, 0.15)';
+            ctx.shadowBlur = (focused || onPath ? 8 : 3) * view.scale;
+            ctx.fillStyle = graph.getNodeFill(node);
+            this.traceNodeShape(ctx, node);
+            ctx.fill();
+            ctx.shadowColor = 'transparent';
+            ctx.shadowBlur = 0;
+
+            ctx.strokeStyle = keyboardFocus ? '#0ea5e9' : selected ? '#7c3aed' : onPath ? '#3b82f6' : diffColor || (node.isCenter ? '#1e40af' : '#fff');
+            ctx.lineWidth = keyboardFocus || selected ? 5 : onPath || node.isCenter || diffColor ? 4 : 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            if (node.radius * view.scale >= DETAIL_RADIUS) {
+                this.drawNodeDetails(ctx, node);
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    // Outline of the node's configured shape, as a path ready to fill or stroke
+    traceNodeShape(ctx, node) {
+        const points = shapePoints(this.graph.getNodeShape(node.type), node.radius);
+        ctx.beginPath();
+        if (!points) {
+            ctx.arc(node.x, node.y, node.radius, 0, Math.PI * 2);
+            return;
+        }
+        points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(node.x + x, node.y + y);
+            else ctx.lineTo(node.x + x, node.y + y);
+        });
+        ctx.closePath();
+    }
+
+    // Icon, name, risk score and badges, as drawn by the SVG renderer
+    drawNodeDetails(ctx, node) {
+        const graph = this.graph;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        ctx.font = `${node.isCenter ? 24 : 18}px sans-serif`;
+        ctx.fillText(graph.getEntityEmoji(node.type), node.x, node.y);
+
+        ctx.fillStyle = '#334155';
+        ctx.font = `${node.isCenter ? 700 : 500} ${node.isCenter ? 13 : 11}px sans-serif`;
+        ctx.fillText(graph.truncateName(node.name, node.isCenter ? 20 : 15), node.x, node.y + node.radius + 12);
+
+        const riskChange = riskChangeLabel(node);
+        if (riskChange) {
+            ctx.fillStyle = node.riskScore > node.previousRiskScore ? DIFF_COLORS.removed : DIFF_COLORS.added;
+            ctx.font = '600 10px sans-serif';
+            ctx.fillText(riskChange, node.x, node.y + node.radius + 26);
+        }
+
+        const badge = (x, y, radius, color, text, fontSize) => {
+            ctx.fillStyle = color;
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.font = `bold ${fontSize}px sans-serif`;
+            ctx.fillText(text, x, y);
+        };
+
+        badge(node.x + node.radius - 6, node.y - node.radius + 6, 12,
+            graph.getRiskBadgeColor(node.riskScore), String(Math.round(node.riskScore)), 9);
+
+        if (node.groupCount) {
+            badge(node.x - node.radius + 6, node.y - node.radius + 6, 12, '#334155', String(node.groupCount), 9);
+        }
+
+        (node.badges || []).forEach((extra, index) => {
+            badge(node.x + node.radius - 10 - index * 20, node.y - node.radius - 5, 8,
+                extra.color || '#ef4444', extra.icon || '!', 10);
+        });
+
+        if (node.pinned) {
+            ctx.font = '12px sans-serif';
+            ctx.fillText('📌', node.x - node.radius + 2, node.y - node.radius);
+        }
+    }
+
+    // Topmost node whose circle contains the point
+    hitTestNode(point) {
+        const graph = this.graph;
+        for (let i = graph.nodes.length - 1; i >= 0; i--) {
+            const node = graph.nodes[i];
+            if (graph.nodeVisibility(node) === 'hidden') continue;
+            const dx = point.x - node.x;
+            const dy = point.y - node.y;
+            if (dx * dx + dy * dy <= node.radius * node.radius) return node;
+        }
+        return null;
+    }
+
+    // Nearest edge within `tolerance` graph units, measured against a sampled curve
+    hitTestEdge(point, tolerance) {
+        const graph = this.graph;
+        const slots = graph.edgeSlots();
+        let best = null;
+        let bestDistance = tolerance;
+
+        graph.edges.forEach(edge => {
+            const source = graph.nodeIndex.get(edge.source);
+            const target = graph.nodeIndex.get(edge.target);
+            if (!source || !target) return;
+            if (graph.edgeVisibility(edge) === 'hidden') return;
+
+            const samples = sampleCurve(graph.edgeGeometry(source, target, slots.get(edge.id)).points);
+            for (let i = 1; i < samples.length; i++) {
+                const distance = distanceToSegment(point, samples[i - 1], samples[i]);
+                if (distance <= bestDistance) {
+                    best = edge;
+                    bestDistance = distance;
+                }
+            }
+        });
+
+        return best;
+    }
+
+    destroy() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.canvas.remove();
+        this.context = null;
+    }
+}
+
+// Polyline approximation of a line, quadratic or cubic Bézier given by its points
+function sampleCurve(points, steps = 12) {
+    if (points.length === 2) return points;
+
+    const samples = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const u = 1 - t;
+        if (points.length === 3) {
+            samples.push({
+                x: u * u * points[0].x + 2 * u * t * points[1].x + t * t * points[2].x,
+                y: u * u * points[0].y + 2 * u * t * points[1].y + t * t * points[2].y
+            });
+        } else {
+            samples.push({
+                x: u * u * u * points[0].x + 3 * u * u * t * points[1].x + 3 * u * t * t * points[2].x + t * t * t * points[3].x,
+                y: u * u * u * points[0].y + 3 * u * u * t * points[1].y + 3 * u * t * t * points[2].y + t * t * t * points[3].y
+            });
+        }
+    }
+    return samples;
+}
+
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+    const x = a.x + dx * t - point.x;
+    const y = a.y + dy * t - point.y;
+    return Math.sqrt(x * x + y * y);
+}
@@ -0,0 +1,210 @@
+// Centrality Analytics for NetworkGraph
+// Degree, betweenness, closeness, eigenvector and PageRank over the loaded nodes/edges
+
+export const CENTRALITY_METRICS = ['degree', 'betweenness', 'closeness', 'eigenvector', 'pagerank'];
+
+/**
+ * Undirected neighbour sets keyed by node id. Self-loops and duplicate
+ * relationships between the same pair are ignored.
+ */
+function buildNeighbours(nodes, edges) {
+    const neighbours = new Map(nodes.map(node => [node.id, new Set()]));
+    edges.forEach(edge => {
+        if (edge.source === edge.target) return;
+        if (!neighbours.has(edge.source) || !neighbours.has(edge.target)) return;
+        neighbours.get(edge.source).add(edge.target);
+        neighbours.get(edge.target).add(edge.source);
+    });
+    return neighbours;
+}
+
+function degreeCentrality(ids, neighbours) {
+    const scale = ids.length > 1 ? 1 / (ids.length - 1) : 1;
+    return new Map(ids.map(id => [id, neighbours.get(id).size * scale]));
+}
+
+// Brandes' algorithm, normalised for an undirected graph
+function betweennessCentrality(ids, neighbours) {
+    const scores = new Map(ids.map(id => [id, 0]));
+
+    ids.forEach(sourceId => {
+        const stack = [];
+        const predecessors = new Map(ids.map(id => [id, []]));
+        const sigma = new Map(ids.map(id => [id, 0]));
+        const distance = new Map();
+        sigma.set(sourceId, 1);
+        distance.set(sourceId, 0);
+
+        const queue = [sourceId];
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            stack.push(v);
+            neighbours.get(v).forEach(w => {
+                if (!distance.has(w)) {
+                    distance.set(w, distance.get(v) + 1);
+                    queue.push(w);
+                }
+                if (distance.get(w) === distance.get(v) + 1) {
+                    sigma.set(w, sigma.get(w) + sigma.get(v));
+                    predecessors.get(w).push(v);
+                }
+            });
+        }
+
+        const delta = new Map(ids.map(id => [id, 0]));
+        while (stack.length > 0) {
+            const w = stack.pop();
+            predecessors.get(w).forEach(v => {
+                delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+            });
+            if (w !== sourceId) {
+                scores.set(w, scores.get(w) + delta.get(w));
+            }
+        }
+    });
+
+    // Each pair was counted from both ends
+    const n = ids.length;
+    const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 1;
+    scores.forEach((value, id) => scores.set(id, value * scale));
+    return scores;
+}
+
+// Wasserman–Faust closeness, so nodes in small components are not over-rated
+function closenessCentrality(ids, neighbours) {
+    const n = ids.length;
+    const scores = new Map();
+
+    ids.forEach(sourceId => {
+        const distance = new Map([[sourceId, 0]]);
+        const queue = [sourceId];
+        let total = 0;
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            neighbours.get(v).forEach(w => {
+                if (!distance.has(w)) {
+                    distance.set(w, distance.get(v) + 1);
+                    total += distance.get(w);
+                    queue.push(w);
+                }
+            });
+        }
+
+        const reachable = queue.length - 1;
+        scores.set(sourceId, total > 0 && n > 1 ? (reachable / total) * (reachable / (n - 1)) : 0);
+    });
+
+    return scores;
+}
+
+// Power iteration on the adjacency matrix, scaled so the top node scores 1
+function eigenvectorCentrality(ids, neighbours, options) {
+    const maxIterations = options.maxIterations || 100;
+    const tolerance = options.tolerance || 1e-6;
+    let scores = new Map(ids.map(id => [id, 1]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // Adding the node's own score (A + I) keeps bipartite graphs from oscillating
+        const next = new Map();
+        ids.forEach(id => {
+            let sum = scores.get(id);
+            neighbours.get(id).forEach(w => { sum += scores.get(w); });
+            next.set(id, sum);
+        });
+
+        let max = 0;
+        next.forEach(value => { if (value > max) max = value; });
+        if (max === 0) return next;
+
+        let change = 0;
+        next.forEach((value, id) => {
+            const normalised = value / max;
+            change += Math.abs(normalised - scores.get(id));
+            next.set(id, normalised);
+        });
+
+        scores = next;
+        if (change < tolerance * ids.length) break;
+    }
+
+    return scores;
+}
+
+// PageRank following relationship direction (source → target)
+function pageRankCentrality(ids, edges, options) {
+    const damping = options.damping ?? 0.85;
+    const maxIterations = options.maxIterations || 100;
+    const tolerance = options.tolerance || 1e-6;
+    const n = ids.length;
+
+    const outgoing = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => {
+        if (outgoing.has(edge.source) && outgoing.has(edge.target) && edge.source !== edge.target) {
+            outgoing.get(edge.source).push(edge.target);
+        }
+    });
+
+    let ranks = new Map(ids.map(id => [id, 1 / n]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        // Rank held by nodes without outgoing links is spread evenly
+        let dangling = 0;
+        ids.forEach(id => {
+            if (outgoing.get(id).length === 0) dangling += ranks.get(id);
+        });
+
+        const base = (1 - damping) / n + (damping * dangling) / n;
+        const next = new Map(ids.map(id => [id, base]));
+        ids.forEach(id => {
+            const targets = outgoing.get(id);
+            if (targets.length === 0) return;
+            const share = (damping * ranks.get(id)) / targets.length;
+            targets.forEach(target => next.set(target, next.get(target) + share));
+        });
+
+        let change = 0;
+        next.forEach((value, id) => { change += Math.abs(value - ranks.get(id)); });
+        ranks = next;
+        if (change < tolerance) break;
+    }
+
+    return ranks;
+}
+
+/**
+ * Compute a centrality metric for every node. Returns a Map of id → score.
+ */
+export function centralityScores(nodes, edges, metric, options = {}) {
+    const ids = nodes.map(node => node.id);
+    if (ids.length === 0) return new Map();
+
+    const neighbours = buildNeighbours(nodes, edges);
+
+    switch ((metric || '').toLowerCase()) {
+        case 'degree':
+            return degreeCentrality(ids, neighbours);
+        case 'betweenness':
+            return betweennessCentrality(ids, neighbours);
+        case 'closeness':
+            return closenessCentrality(ids, neighbours);
+        case 'eigenvector':
+            return eigenvectorCentrality(ids, neighbours, options);
+        case 'pagerank':
+            return pageRankCentrality(ids, edges, options);
+        default:
+            throw new Error(`Unknown centrality metric: ${metric}`);
+    }
+}
+
+/**
+ * Sort scores into [{ id, score, rank }], highest first. Ties share a rank.
+ */
+export function rankScores(scores) {
+    const ranked = Array.from(scores, ([id, score]) => ({ id, score, rank: 0 }))
+        .sort((a, b) => b.score - a.score);
+
+    ranked.forEach((entry, i) => {
+        entry.rank = i > 0 && Math.abs(entry.score - ranked[i - 1].score) < 1e-9 ? ranked[i - 1].rank : i + 1;
+    });
+    return ranked;
+}
@@ -0,0 +1,229 @@
+// Community Detection for NetworkGraph
+// Louvain modularity optimisation and label propagation, weighted by relationship strength
+
+import { createRandom } from './network-layout.js';
+
+// Strong relationships bind communities more tightly
+export const STRENGTH_AFFINITY = { 'Strong': 3, 'Medium': 2, 'Weak': 1 };
+
+/**
+ * Weighted undirected graph over node indices. Parallel relationships add up.
+ */
+function buildWeightedGraph(nodes, edges, options) {
+    const affinity = { ...STRENGTH_AFFINITY, ...(options.strengthAffinity || {}) };
+    const indexOf = new Map(nodes.map((node, i) => [node.id, i]));
+    const adjacency = nodes.map(() => new Map());
+
+    edges.forEach(edge => {
+        const a = indexOf.get(edge.source);
+        const b = indexOf.get(edge.target);
+        if (a === undefined || b === undefined || a === b) return;
+
+        const weight = affinity[edge.strength] ?? affinity['Medium'];
+        adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+        adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+    });
+
+    return adjacency;
+}
+
+function shuffledOrder(count, random) {
+    const order = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * One Louvain local-moving pass. `adjacency` may contain self-loops
+ * (adjacency[i].get(i)) from earlier aggregation levels.
+ * Returns the community index of each vertex and whether anything moved.
+ */
+function louvainLocalMoving(adjacency, resolution, random) {
+    const n = adjacency.length;
+    const degree = new Array(n).fill(0);
+    let totalWeight = 0;
+
+    adjacency.forEach((neighbours, i) => {
+        neighbours.forEach((weight, j) => {
+            degree[i] += weight;
+            // Self-loops are stored once but count twice towards the degree
+            if (i === j) degree[i] += weight;
+        });
+        totalWeight += degree[i];
+    });
+
+    const community = Array.from({ length: n }, (_, i) => i);
+    const communityDegree = degree.slice();
+    if (totalWeight === 0) return { community, moved: false };
+
+    let moved = false;
+    let improved = true;
+    while (improved) {
+        improved = false;
+
+        shuffledOrder(n, random).forEach(i => {
+            const current = community[i];
+
+            // Weight from i into each neighbouring community
+            const links = new Map();
+            adjacency[i].forEach((weight, j) => {
+                if (j === i) return;
+                links.set(community[j], (links.get(community[j]) || 0) + weight);
+            });
+
+            communityDegree[current] -= degree[i];
+
+            let best = current;
+            let bestGain = (links.get(current) || 0) - resolution * communityDegree[current] * degree[i] / totalWeight;
+            links.forEach((weight, candidate) => {
+                const gain = weight - resolution * communityDegree[candidate] * degree[i] / totalWeight;
+                if (gain > bestGain + 1e-12) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            });
+
+            communityDegree[best] += degree[i];
+            if (best !== current) {
+                community[i] = best;
+                improved = true;
+                moved = true;
+            }
+        });
+    }
+
+    return { community, moved };
+}
+
+function louvain(adjacency, options) {
+    const resolution = options.resolution || 1;
+    const random = createRandom(options.seed ?? 'communities');
+
+    // membership[i] = vertex of the current level that original node i belongs to
+    let membership = adjacency.map((_, i) => i);
+    let graph = adjacency;
+
+    for (;;) {
+        const { community, moved } = louvainLocalMoving(graph, resolution, random);
+        if (!moved) break;
+
+        // Renumber communities densely and fold them into super-vertices
+        const renumber = new Map();
+        community.forEach(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+        });
+
+        const aggregated = Array.from({ length: renumber.size }, () => new Map());
+        graph.forEach((neighbours, i) => {
+            const ci = renumber.get(community[i]);
+            neighbours.forEach((weight, j) => {
+                const cj = renumber.get(community[j]);
+                // Undirected edges appear from both ends; keep each once for self-loops
+                if (ci === cj && j < i) return;
+                aggregated[ci].set(cj, (aggregated[ci].get(cj) || 0) + weight);
+            });
+        });
+
+        membership = membership.map(v => renumber.get(community[v]));
+        graph = aggregated;
+        if (renumber.size === community.length) break;
+    }
+
+    return membership;
+}
+
+function labelPropagation(adjacency, options) {
+    const random = createRandom(options.seed ?? 'communities');
+    const maxIterations = options.maxIterations || 100;
+    const labels = adjacency.map((_, i) => i);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+
+        shuffledOrder(adjacency.length, random).forEach(i => {
+            if (adjacency[i].size === 0) return;
+
+            const weights = new Map();
+            adjacency[i].forEach((weight, j) => {
+                weights.set(labels[j], (weights.get(labels[j]) || 0) + weight);
+            });
+
+            // Keep the current label on ties so the process settles
+            let best = labels[i];
+            let bestWeight = weights.get(best) || 0;
+            weights.forEach((weight, label) => {
+                if (weight > bestWeight || (weight === bestWeight && label < best && best !== labels[i])) {
+                    best = label;
+                    bestWeight = weight;
+                }
+            });
+
+            if (best !== labels[i]) {
+                labels[i] = best;
+                changed = true;
+            }
+        });
+
+        if (!changed) break;
+    }
+
+    return labels;
+}
+
+/**
+ * Detect communities. Options: algorithm ('louvain' | 'labelPropagation'),
+ * resolution, seed, strengthAffinity. Returns communities as
+ * [{ communityId, nodeIds }], largest first, numbered from 0.
+ */
+export function findCommunities(nodes, edges, options = {}) {
+    if (nodes.length === 0) return [];
+
+    const adjacency = buildWeightedGraph(nodes, edges, options);
+    const assignment = options.algorithm === 'labelPropagation'
+        ? labelPropagation(adjacency, options)
+        : louvain(adjacency, options);
+
+    const groups = new Map();
+    assignment.forEach((label, i) => {
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(nodes[i].id);
+    });
+
+    return Array.from(groups.values())
+        .sort((a, b) => b.length - a.length)
+        .map((nodeIds, communityId) => ({ communityId, nodeIds }));
+}
+
+/**
+ * Modularity of a partition, for reporting detection quality.
+ */
+export function modularity(nodes, edges, communities, options = {}) {
+    const adjacency = buildWeightedGraph(nodes, edges, options);
+    const indexOf = new Map(nodes.map((node, i) => [node.id, i]));
+    const communityOf = new Array(nodes.length);
+    communities.forEach(c => c.nodeIds.forEach(id => { communityOf[indexOf.get(id)] = c.communityId; }));
+
+    const degree = adjacency.map(neighbours => {
+        let sum = 0;
+        neighbours.forEach(weight => { sum += weight; });
+        return sum;
+    });
+    const totalWeight = degree.reduce((a, b) => a + b, 0);
+    if (totalWeight === 0) return 0;
+
+    let q = 0;
+    adjacency.forEach((neighbours, i) => {
+        neighbours.forEach((weight, j) => {
+            if (communityOf[i] === communityOf[j]) q += weight;
+        });
+    });
+
+    const communityDegree = new Map();
+    degree.forEach((d, i) => communityDegree.set(communityOf[i], (communityDegree.get(communityOf[i]) || 0) + d));
+    communityDegree.forEach(d => { q -= (d * d) / totalWeight; });
+
+    return q / totalWeight;
+}
@@ -0,0 +1,110 @@
+// Snapshot Diff for NetworkGraph
+// Merges two pulls of the same network into one graph with every change marked
+
+// Shared by the page and exported images; removed elements are ghosted. A
+// highlighted path keeps its own colours, as in the canvas renderer.
+export const DIFF_STYLES = [
+    '.diff-added .node-circle:not(.path-node) { stroke: #16a34a; stroke-width: 4px; }',
+    '.diff-removed { opacity: 0.35; }',
+    '.diff-removed .node-circle:not(.path-node) { stroke: #dc2626; stroke-width: 3px; stroke-dasharray: 4 3; }',
+    '.diff-added .edge-line:not(.path-highlight) { stroke: #16a34a; stroke-opacity: 0.9; }',
+    '.diff-removed .edge-line:not(.path-highlight) { stroke: #dc2626; stroke-dasharray: 6 4; }'
+].join('\n');
+
+export const DIFF_COLORS = { added: '#16a34a', removed: '#dc2626' };
+
+function byId(items) {
+    const map = new Map();
+    (items || []).forEach(item => {
+        if (item && item.id !== undefined && item.id !== null) map.set(item.id, item);
+    });
+    return map;
+}
+
+/**
+ * Union of two snapshots ({ centerEntityId, nodes, relationships }). Every
+ * node and relationship is copied with diffStatus 'added', 'removed',
+ * 'changed' (nodes whose risk score moved, with previousRiskScore) or
+ * 'unchanged'. Returns { data, summary } where summary is
+ * {
+ *   addedNodes, removedNodes: [id],
+ *   changedNodes: [{ id, name, previousRiskScore, riskScore, delta }],
+ *   addedEdges, removedEdges: [id],
+ *   unchangedNodeCount, unchangedEdgeCount
+ * }
+ */
+export function diffSnapshots(before, after) {
+    before = before || {};
+    after = after || {};
+    const beforeNodes = byId(before.nodes);
+    const afterNodes = byId(after.nodes);
+    const beforeEdges = byId(before.relationships);
+    const afterEdges = byId(after.relationships);
+
+    const summary = {
+        addedNodes: [],
+        removedNodes: [],
+        changedNodes: [],
+        addedEdges: [],
+        removedEdges: [],
+        unchangedNodeCount: 0,
+        unchangedEdgeCount: 0
+    };
+
+    const nodes = [];
+    afterNodes.forEach((node, id) => {
+        const previous = beforeNodes.get(id);
+        if (!previous) {
+            summary.addedNodes.push(id);
+            nodes.push({ ...node, diffStatus: 'added' });
+            return;
+        }
+
+        const previousRiskScore = previous.riskScore || 0;
+        const riskScore = node.riskScore || 0;
+        if (previousRiskScore !== riskScore) {
+            summary.changedNodes.push({ id, name: node.name, previousRiskScore, riskScore, delta: riskScore - previousRiskScore });
+            nodes.push({ ...node, diffStatus: 'changed', previousRiskScore });
+            return;
+        }
+
+        summary.unchangedNodeCount++;
+        nodes.push({ ...node, diffStatus: 'unchanged' });
+    });
+    beforeNodes.forEach((node, id) => {
+        if (afterNodes.has(id)) return;
+        summary.removedNodes.push(id);
+        nodes.push({ ...node, diffStatus: 'removed' });
+    });
+
+    const relationships = [];
+    afterEdges.forEach((rel, id) => {
+        const added = !beforeEdges.has(id);
+        if (added) summary.addedEdges.push(id);
+        else summary.unchangedEdgeCount++;
+        relationships.push({ ...rel, diffStatus: added ? 'added' : 'unchanged' });
+    });
+    beforeEdges.forEach((rel, id) => {
+        if (afterEdges.has(id)) return;
+        summary.removedEdges.push(id);
+        relationships.push({ ...rel, diffStatus: 'removed' });
+    });
+
+    return {
+        data: {
+            ...after,
+            centerEntityId: after.centerEntityId ?? before.centerEntityId,
+            nodes,
+            relationships
+        },
+        summary
+    };
+}
+
+// "▲ 45 → 82" style annotation for a node whose risk score moved, else null
+export function riskChangeLabel(node) {
+    if (node.previousRiskScore === null || node.previousRiskScore === undefined) return null;
+    if (node.previousRiskScore === node.riskScore) return null;
+    const arrow = node.riskScore > node.previousRiskScore ? '▲' : '▼';
+    return `${arrow} ${Math.round(node.previousRiskScore)} → ${Math.round(node.riskScore)}`;
+}
@@ -1,79 +1,201 @@
 // Network Graph Visualization using SVG with Force-Directed Layout
+import { LAYOUT_DEFAULTS, createRandom, resolveLinks, simulationBounds, tick as simulationTick } from './network-layout.js';
+import { buildAdjacency, kShortestPaths } from './network-paths.js';
+import { centralityScores, rankScores } from './network-centrality.js';
+import { findCommunities, modularity } from './network-communities.js';
+import { CanvasRenderer } from './network-canvas-renderer.js';
+import { ARROW_DIRECTIONS, announce, createLiveRegion, describeEntity, pickNeighbour } from './network-accessibility.js';
+import { SHAPE_SYMBOLS, createStyleMap, shapePoints } from './network-styles.js';
+import { pointInPolygon } from './network-selection.js';
+import { matchCriteria, rankSearchResults } from './network-search.js';
+import { DIFF_COLORS, DIFF_STYLES, diffSnapshots, riskChangeLabel } from './network-diff.js';
+import { DEFAULT_MAX_LAYOUTS, layoutKey, loadLayout, removeLayout, saveLayout } from './network-layout-store.js';
+
 const graphs = new Map();
 
+// Categorical palette for community colouring; repeats after ten clusters
+const COMMUNITY_COLORS = [
+    '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed',
+    '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4f46e5'
+];
+
+// Node fields taken from the entity data, as opposed to layout and view state
+const NODE_DATA_FIELDS = ['name', 'type', 'riskScore', 'validFrom', 'validTo', 'diffStatus', 'previousRiskScore'];
+
+// How long (ms) a click waits to see whether it becomes a double-click
+const CLICK_DELAY = 250;
+
+// Order of relationship strengths, for keeping the strongest of several links
+const STRENGTH_RANK = { 'Weak': 1, 'Medium': 2, 'Strong': 3 };
+
 class NetworkGraph {
-    constructor(container, data, dotNetHelper) {
+    constructor(container, data, dotNetHelper, options = {}) {
         this.container = container;
         this.data = data;
         this.dotNetHelper = dotNetHelper;
+        this.options = options;
         this.nodes = [];
         this.edges = [];
+        this.nodeIndex = new Map();
+        this.nodeElements = new Map();
+        this.edgeElements = new Map();
         this.selectedNode = null;
+        this.selectedNodes = new Set();
         this.draggedNode = null;
+        this.draggedNodes = new Map();
+        this.dragMoved = false;
         this.isPanning = false;
+        this.panMoved = false;
+        this.gestureMoved = false;
         this.panStart = { x: 0, y: 0 };
+        this.selectionGesture = null;
         this.viewBox = { x: -500, y: -400, width: 1000, height: 800 };
         this.zoom = 1;
+        this.viewAnimation = null;
+        this.activePointers = new Map();
+        this.pinch = null;
         this.simulationRunning = false;
+        this.layoutWorker = null;
+        this.layoutRunId = 0;
+        // Set by destroy() so late .NET answers are dropped
+        this.destroyed = false;
+        this.pendingPositions = null;
+        this.foundPaths = [];
+        this.centrality = null;
+        this.communities = null;
+        this.minimap = null;
+        this.timeWindow = null;
+        this.timelineTimer = null;
+        this.expansions = new Map();
+        this.pendingExpansions = new Set();
+        this.groups = new Map();
+        this.pathHighlight = null;
+        this.keyboardNodeId = null;
+        // Active search or attribute filter and the match focused by focusNextMatch
+        this.filter = null;
+        // Non-SVG renderer for large graphs; null while nodes are SVG elements
+        this.renderer = null;
+
+        // Configuration
+        this.config = {
+            workerThreshold: options.workerThreshold || 300,
+            maxSteps: options.maxSteps || LAYOUT_DEFAULTS.maxSteps,
+            theta: options.theta ?? LAYOUT_DEFAULTS.theta,
+            // Zoom is viewBox width / 1000: smaller is closer
+            minZoom: options.minZoom || 0.2,
+            maxZoom: options.maxZoom || 5,
+            showMinimap: !!options.minimap,
+            expandHops: options.expandHops || 1,
+            // 'svg', 'canvas', 'auto' (canvas above canvasThreshold nodes) or a renderer class
+            renderer: options.renderer || 'auto',
+            canvasThreshold: options.canvasThreshold || 2000,
+            // Same seed + same data = same picture; defaults to the center entity
+            layoutSeed: options.layoutSeed ?? data.centerEntityId ?? 'network',
+            // Pinned positions are saved in localStorage per tenant and center entity
+            persistLayout: options.persistLayout !== false,
+            maxSavedLayouts: options.maxSavedLayouts || DEFAULT_MAX_LAYOUTS
+        };
+        this.layoutKey = this.config.persistLayout ? layoutKey(data.centerEntityId, options.tenantId) : null;
+        this.layoutSaveTimer = null;
+        this.clickTimer = null;
+
+        // Colours, icons and shapes per entity type, widths and dashes per strength
+        this.styles = createStyleMap(options.styles);
 
         this.init();
     }
 
     init() {
         this.parseData();
+        // Positions passed in win over the layout saved in the browser
+        const positions = this.options.positions || loadLayout(this.layoutKey);
+        const restored = positions ? this.applyPositions(positions) : 0;
         this.createSVG();
         this.render();
-        this.startSimulation();
+        // A fully restored layout is shown exactly as saved
+        if (restored < this.nodes.length) {
+            this.startSimulation();
+        } else {
+            this.finishSimulation();
+        }
         this.setupEventListeners();
+        this.setupKeyboardNavigation();
     }
 
     parseData() {
         const centerEntityId = this.data.centerEntityId;
+        const random = createRandom(this.config.layoutSeed);
 
         this.nodes = (this.data.nodes || []).map((node, index) => {
             const isCenter = node.id === centerEntityId;
             
             // Spatial positioning: center entity at origin, others in layers
-            let x, y, radius;
+            let x, y;
             
             if (isCenter) {
                 x = 0;
                 y = 0;
-                radius = 32;
             } else {
                 // Arrange in concentric circles based on connection strength
                 const angle = (index / this.data.nodes.length) * 2 * Math.PI;
-                const layer = Math.floor(Math.random() * 2) + 1; // 1-2 layers for demo
+                const layer = Math.floor(random() * 2) + 1; // 1-2 layers for demo
                 const baseRadius = 180 * layer;
-                const radiusVariation = (Math.random() - 0.5) * 40;
+                const radiusVariation = (random() - 0.5) * 40;
                 
                 x = Math.cos(angle) * (baseRadius + radiusVariation);
                 y = Math.sin(angle) * (baseRadius + radiusVariation);
-                radius = 24;
             }
 
-            return {
-                id: node.id,
-                name: node.name || 'Unknown',
-                type: node.type,
-                riskScore: node.riskScore || 0,
-                isCenter: isCenter,
-                x: x,
-                y: y,
-                vx: 0,
-                vy: 0,
-                radius: radius,
-                layer: isCenter ? 0 : Math.floor(Math.sqrt((x * x + y * y)) / 180)
-            };
+            return this.createNode(node, x, y);
         });
 
-        this.edges = (this.data.relationships || []).map(rel => ({
+        this.edges = (this.data.relationships || []).map(rel => this.createEdge(rel));
+
+        this.indexNodes();
+    }
+
+    createNode(node, x, y) {
+        const isCenter = node.id === this.data.centerEntityId;
+        return {
+            id: node.id,
+            name: node.name || 'Unknown',
+            type: node.type,
+            riskScore: node.riskScore || 0,
+            isCenter: isCenter,
+            x: x,
+            y: y,
+            vx: 0,
+            vy: 0,
+            radius: isCenter ? 32 : 24,
+            layer: isCenter ? 0 : Math.floor(Math.sqrt((x * x + y * y)) / 180),
+            pinned: false,
+            fixed: false,
+            validFrom: parseTime(node.validFrom),
+            validTo: parseTime(node.validTo),
+            // Set when showing a snapshot diff
+            diffStatus: node.diffStatus || null,
+            previousRiskScore: node.previousRiskScore ?? null
+        };
+    }
+
+    createEdge(rel) {
+        return {
             id: rel.id,
             source: rel.sourceEntityId,
             target: rel.targetEntityId,
             type: rel.type || 'Related',
-            strength: rel.strength || 'Medium'
-        }));
+            strength: rel.strength || 'Medium',
+            // Relationships are drawn with an arrowhead unless marked undirected
+            directed: rel.directed !== false,
+            validFrom: parseTime(rel.validFrom),
+            validTo: parseTime(rel.validTo),
+            diffStatus: rel.diffStatus || null
+        };
+    }
+
+    // Rebuild the id→node lookup used by edges, rendering and the simulation
+    indexNodes() {
+        this.nodeIndex = new Map(this.nodes.map(node => [node.id, node]));
     }
 
     createSVG() {
@@ -88,28 +210,28 @@ class NetworkGraph {
             <button class="graph-btn" data-action="reset" title="Reset Layout">↻</button>
             <button class="graph-btn" data-action="zoomIn" title="Zoom In">+</button>
             <button class="graph-btn" data-action="zoomOut" title="Zoom Out">−</button>
+            <button class="graph-btn" data-action="fit" title="Fit to Screen">⊡</button>
+            <button class="graph-btn" data-action="export" title="Export">📥</button>
         `;
 
         const legend = document.createElement('div');
         legend.style.cssText = 'position: absolute; bottom: 10px; left: 10px; z-index: 10; background: rgba(255,255,255,0.95); padding: 8px 12px; border-radius: 6px; font-size: 12px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);';
-        legend.innerHTML = `
-            <div style="display: flex; gap: 12px; flex-wrap: wrap;">
-                <span><span style="color: #3b82f6;">●</span> Person</span>
-                <span><span style="color: #8b5cf6;">●</span> Organization</span>
-                <span><span style="color: #10b981;">●</span> Account</span>
-                <span><span style="color: #f59e0b;">●</span> Transaction</span>
-            </div>
-        `;
+        this.legend = legend;
+        this.updateLegend();
 
         this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
         this.svg.setAttribute('width', '100%');
         this.svg.setAttribute('height', '100%');
-        this.svg.style.cssText = 'cursor: grab; background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%);';
+        this.svg.style.cssText = 'cursor: grab; touch-action: none; background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%);';
+        this.svg.setAttribute('tabindex', '0');
+        this.svg.setAttribute('role', 'application');
+        this.svg.setAttribute('aria-roledescription', 'network graph');
+        this.svg.setAttribute('aria-label', 'Network graph. Use the arrow keys to move between connected entities and Enter to open one.');
         this.updateViewBox();
 
         const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
         defs.innerHTML = `
-            <marker id="arrowhead-${this.container.id}" markerWidth="10" markerHeight="7" refX="20" refY="3.5" orient="auto">
+            <marker id="arrowhead-${this.container.id}" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto" markerUnits="userSpaceOnUse">
                 <polygon points="0 0, 10 3.5, 0 7" fill="#94a3b8"/>
             </marker>
             <filter id="shadow-${this.container.id}" x="-20%" y="-20%" width="140%" height="140%">
@@ -145,8 +267,17 @@ class NetworkGraph {
             .node-group { cursor: pointer; transform-origin: center; }
             .node-group circle { transition: stroke-width 0.2s ease, filter 0.2s ease; }
             .node-group:hover circle { stroke-width: 4px !important; filter: url(#glow-${this.container.id}) !important; }
+            .node-group.selected .node-circle { stroke: #7c3aed; stroke-width: 5px; }
+            svg:focus .node-group.keyboard-focus .node-circle { stroke: #0ea5e9; stroke-width: 5px; }
+            .node-group.expanding { opacity: 0.6; cursor: progress; }
+            .node-group.expanded .node-circle { stroke-dasharray: 4 2; }
             .edge-line { transition: stroke-width 0.2s ease, stroke-opacity 0.2s ease; }
             .edge-line:hover { stroke-width: 4px !important; stroke-opacity: 0.8 !important; }
+            ${DIFF_STYLES}
+            .time-faded { opacity: 0.12; }
+            .time-hidden { display: none; }
+            .filter-faded { opacity: 0.15; }
+            .filter-hidden { display: none; }
         `;
 
         wrapper.appendChild(style);
@@ -154,6 +285,11 @@ class NetworkGraph {
         wrapper.appendChild(legend);
         wrapper.appendChild(this.svg);
         this.container.appendChild(wrapper);
+        this.wrapper = wrapper;
+        this.liveRegion = createLiveRegion(wrapper);
+
+        this.renderer = this.createRenderer(wrapper);
+        if (this.config.showMinimap) this.createMinimap();
 
         controls.querySelectorAll('.graph-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -161,10 +297,25 @@ class NetworkGraph {
                 if (action === 'reset') this.resetLayout();
                 else if (action === 'zoomIn') this.zoomIn();
                 else if (action === 'zoomOut') this.zoomOut();
+                else if (action === 'fit') this.fitToView();
+                else if (action === 'export') this.exportImage('png').catch(error => console.error('Error exporting graph:', error));
             });
         });
     }
 
+    createRenderer(wrapper) {
+        const choice = this.config.renderer;
+        if (typeof choice === 'function') return new choice(this, wrapper);
+        if (choice === 'canvas' || (choice === 'auto' && this.nodes.length > this.config.canvasThreshold)) {
+            return new CanvasRenderer(this, wrapper);
+        }
+        return null;
+    }
+
+    requestDraw() {
+        if (this.renderer) this.renderer.requestDraw();
+    }
+
     render() {
         this.renderEdges();
         this.renderNodes();
@@ -172,184 +323,461 @@ class NetworkGraph {
 
     renderEdges() {
         this.edgesGroup.innerHTML = '';
+        this.edgeElements.clear();
 
-        this.edges.forEach(edge => {
-            const source = this.nodes.find(n => n.id === edge.source);
-            const target = this.nodes.find(n => n.id === edge.target);
-            if (!source || !target) return;
+        // Community hulls sit behind every edge
+        this.hullsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.hullsGroup.setAttribute('class', 'community-hulls');
+        this.edgesGroup.appendChild(this.hullsGroup);
+        this.updateHulls();
+
+        if (this.renderer) {
+            this.requestDraw();
+            return;
+        }
+        this.edges.forEach(edge => this.renderEdge(edge));
+        this.updateEdges();
+    }
+
+    renderEdge(edge) {
+        if (this.renderer) {
+            this.requestDraw();
+            return null;
+        }
 
-            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-
-            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-            line.setAttribute('class', 'edge-line');
-            line.setAttribute('x1', source.x);
-            line.setAttribute('y1', source.y);
-            line.setAttribute('x2', target.x);
-            line.setAttribute('y2', target.y);
-            line.setAttribute('stroke', this.getEdgeColor(edge.strength));
-            line.setAttribute('stroke-width', this.getEdgeWidth(edge.strength));
-            line.setAttribute('stroke-opacity', '0.6');
+        const source = this.nodeIndex.get(edge.source);
+        const target = this.nodeIndex.get(edge.target);
+        if (!source || !target) return null;
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+        // Geometry is filled in by updateEdges once sibling edges are known
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        line.setAttribute('class', 'edge-line');
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', this.getEdgeColor(edge.strength));
+        line.setAttribute('stroke-width', this.getEdgeWidth(edge.strength));
+        line.setAttribute('stroke-opacity', '0.6');
+        const dash = this.getEdgeDash(edge.strength);
+        if (dash) line.setAttribute('stroke-dasharray', dash.join(','));
+        if (edge.directed) {
             line.setAttribute('marker-end', `url(#arrowhead-${this.container.id})`);
+        }
+        line.dataset.strength = edge.strength;
+
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('font-size', '10');
+        label.setAttribute('fill', '#64748b');
+        label.textContent = edge.type;
+
+        g.appendChild(line);
+        g.appendChild(label);
+        g.dataset.edgeId = edge.id;
+        if (edge.diffStatus === 'added' || edge.diffStatus === 'removed') g.classList.add(`diff-${edge.diffStatus}`);
+        this.edgesGroup.appendChild(g);
+        this.edgeElements.set(edge.id, { g, line, label });
+        if (this.timeWindow) this.applyTimeState(g, this.isEdgeInWindow(edge));
+        if (this.filter) this.applyFilterState(g, this.filter.edgeIds.has(edge.id));
+        return g;
+    }
 
-            const midX = (source.x + target.x) / 2;
-            const midY = (source.y + target.y) / 2;
-            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            label.setAttribute('x', midX);
-            label.setAttribute('y', midY - 8);
-            label.setAttribute('text-anchor', 'middle');
-            label.setAttribute('font-size', '10');
-            label.setAttribute('fill', '#64748b');
-            label.textContent = edge.type;
+    // Position of each edge within the bundle of edges joining the same pair of nodes
+    edgeSlots() {
+        const bundles = new Map();
+        this.edges.forEach(edge => {
+            const key = edge.source < edge.target
+                ? `${edge.source}\u0000${edge.target}`
+                : `${edge.target}\u0000${edge.source}`;
+            if (!bundles.has(key)) bundles.set(key, []);
+            bundles.get(key).push(edge);
+        });
 
-            g.appendChild(line);
-            g.appendChild(label);
-            g.dataset.edgeId = edge.id;
-            this.edgesGroup.appendChild(g);
+        const slots = new Map();
+        bundles.forEach(bundle => {
+            bundle.forEach((edge, index) => slots.set(edge.id, { index, count: bundle.length }));
         });
+        return slots;
     }
 
-    renderNodes() {
-        this.nodesGroup.innerHTML = '';
+    /**
+     * Path data and label anchor for an edge. Parallel edges fan out as
+     * quadratic curves either side of the straight line; self-loops are arcs
+     * spread around the top of the node. Ends are trimmed to the node circles
+     * so arrowheads stay visible. `points` holds the same curve's end and
+     * control points for non-SVG renderers.
+     */
+    edgeGeometry(source, target, slot) {
+        if (source === target) {
+            const angle = -Math.PI / 2 + (slot.index - (slot.count - 1) / 2) * 0.9;
+            const reach = source.radius + 36 + slot.index * 6;
+            const spread = 0.45;
+            const point = (a, distance) => ({
+                x: source.x + Math.cos(a) * distance,
+                y: source.y + Math.sin(a) * distance
+            });
+            const start = point(angle - spread, source.radius);
+            const end = point(angle + spread, source.radius + 2);
+            const c1 = point(angle - spread * 1.6, reach);
+            const c2 = point(angle + spread * 1.6, reach);
+            return {
+                d: `M ${start.x} ${start.y} C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${end.x} ${end.y}`,
+                points: [start, c1, c2, end],
+                label: point(angle, reach + 4),
+                normal: { x: Math.cos(angle), y: Math.sin(angle) }
+            };
+        }
 
-        this.nodes.forEach(node => {
-            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            g.setAttribute('class', 'node-group');
-            g.setAttribute('transform', `translate(${node.x}, ${node.y})`);
-            g.dataset.nodeId = node.id;
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const length = Math.max(1, Math.sqrt(dx * dx + dy * dy));
 
-            // Draw layer ring for non-center nodes
-            if (!node.isCenter && node.layer > 0) {
-                const layerRing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                layerRing.setAttribute('r', node.radius + 3);
-                layerRing.setAttribute('fill', 'none');
-                layerRing.setAttribute('stroke', '#e2e8f0');
-                layerRing.setAttribute('stroke-width', '1');
-                layerRing.setAttribute('opacity', '0.5');
-                g.appendChild(layerRing);
-            }
+        // Measure the fan from a fixed node order so opposite directions curve apart
+        const flip = source.id < target.id ? 1 : -1;
+        const normal = { x: (-dy / length) * flip, y: (dx / length) * flip };
+        const offset = (slot.index - (slot.count - 1) / 2) * 28;
 
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('r', node.radius);
-            circle.setAttribute('fill', this.getNodeColor(node.type));
-            circle.setAttribute('stroke', node.isCenter ? '#1e40af' : '#fff');
-            circle.setAttribute('stroke-width', node.isCenter ? 4 : 2);
-            circle.setAttribute('filter', `url(#shadow-${this.container.id})`);
-
-            // High risk indicator
-            if (node.riskScore >= 60) {
-                const riskRing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                riskRing.setAttribute('r', node.radius + 6);
-                riskRing.setAttribute('fill', 'none');
-                riskRing.setAttribute('stroke', this.getRiskColor(node.riskScore));
-                riskRing.setAttribute('stroke-width', '3');
-                riskRing.setAttribute('stroke-dasharray', '6,3');
-                
-                // Animated pulse for very high risk
-                if (node.riskScore >= 80) {
-                    const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
-                    animate.setAttribute('attributeName', 'opacity');
-                    animate.setAttribute('values', '1;0.3;1');
-                    animate.setAttribute('dur', '2s');
-                    animate.setAttribute('repeatCount', 'indefinite');
-                    riskRing.appendChild(animate);
-                }
-                
-                g.appendChild(riskRing);
-            }
-
-            g.appendChild(circle);
-
-            // Entity icon
-            const icon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            icon.setAttribute('text-anchor', 'middle');
-            icon.setAttribute('dominant-baseline', 'central');
-            icon.setAttribute('font-size', node.isCenter ? '24' : '18');
-            icon.setAttribute('pointer-events', 'none');
-            icon.textContent = this.getEntityEmoji(node.type);
-            g.appendChild(icon);
-
-            // Name label
-            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            label.setAttribute('y', node.radius + 16);
-            label.setAttribute('text-anchor', 'middle');
-            label.setAttribute('font-size', node.isCenter ? '13' : '11');
-            label.setAttribute('font-weight', node.isCenter ? '700' : '500');
-            label.setAttribute('fill', '#334155');
-            label.setAttribute('pointer-events', 'none');
-            label.textContent = this.truncateName(node.name, node.isCenter ? 20 : 15);
-            g.appendChild(label);
-
-            // Risk score badge
-            const badgeG = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            badgeG.setAttribute('transform', `translate(${node.radius - 6}, ${-node.radius + 6})`);
+        const midX = (source.x + target.x) / 2;
+        const midY = (source.y + target.y) / 2;
 
-            const badgeCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            badgeCircle.setAttribute('r', '12');
-            badgeCircle.setAttribute('fill', this.getRiskBadgeColor(node.riskScore));
-            badgeCircle.setAttribute('stroke', 'white');
-            badgeCircle.setAttribute('stroke-width', '2');
+        if (offset === 0) {
+            const ux = dx / length;
+            const uy = dy / length;
+            const start = { x: source.x + ux * source.radius, y: source.y + uy * source.radius };
+            const end = { x: target.x - ux * (target.radius + 2), y: target.y - uy * (target.radius + 2) };
+            return {
+                d: `M ${start.x} ${start.y} L ${end.x} ${end.y}`,
+                points: [start, end],
+                label: { x: midX + normal.x * 10, y: midY + normal.y * 10 },
+                normal
+            };
+        }
+
+        // A quadratic's apex lies halfway to its control point
+        const control = { x: midX + normal.x * offset * 2, y: midY + normal.y * offset * 2 };
+        const toward = (from, to, distance) => {
+            const ex = to.x - from.x;
+            const ey = to.y - from.y;
+            const d = Math.max(1, Math.sqrt(ex * ex + ey * ey));
+            return { x: from.x + (ex / d) * distance, y: from.y + (ey / d) * distance };
+        };
+        const start = toward(source, control, source.radius);
+        const end = toward(target, control, target.radius + 2);
+        const side = offset > 0 ? 1 : -1;
+        return {
+            d: `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+            points: [start, control, end],
+            label: { x: midX + normal.x * (offset + side * 10), y: midY + normal.y * (offset + side * 10) },
+            normal: { x: normal.x * side, y: normal.y * side }
+        };
+    }
 
-            const badgeText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            badgeText.setAttribute('text-anchor', 'middle');
-            badgeText.setAttribute('dominant-baseline', 'central');
-            badgeText.setAttribute('font-size', '9');
-            badgeText.setAttribute('font-weight', 'bold');
-            badgeText.setAttribute('fill', 'white');
-            badgeText.setAttribute('pointer-events', 'none');
-            badgeText.textContent = Math.round(node.riskScore);
+    updateEdges() {
+        if (this.renderer) {
+            this.requestDraw();
+            return;
+        }
 
-            badgeG.appendChild(badgeCircle);
-            badgeG.appendChild(badgeText);
-            g.appendChild(badgeG);
+        const slots = this.edgeSlots();
+        const labels = [];
 
-            this.nodesGroup.appendChild(g);
+        this.edges.forEach(edge => {
+            const elements = this.edgeElements.get(edge.id);
+            if (!elements) return;
+
+            const source = this.nodeIndex.get(edge.source);
+            const target = this.nodeIndex.get(edge.target);
+            if (!source || !target) return;
+
+            const geometry = this.edgeGeometry(source, target, slots.get(edge.id));
+            elements.line.setAttribute('d', geometry.d);
+            labels.push({ element: elements.label, text: edge.type, anchor: geometry.label, normal: geometry.normal });
         });
-    }
 
-    updatePositions() {
-        this.edgesGroup.querySelectorAll('g').forEach(g => {
-            const edgeId = g.dataset.edgeId;
-            const edge = this.edges.find(e => e.id === edgeId);
-            if (!edge) return;
+        this.placeEdgeLabels(labels);
+    }
 
-            const source = this.nodes.find(n => n.id === edge.source);
-            const target = this.nodes.find(n => n.id === edge.target);
-            if (!source || !target) return;
+    /**
+     * Greedy label placement: each label takes the first candidate spot along
+     * its edge normal that does not cover a node or an already placed label.
+     */
+    placeEdgeLabels(labels) {
+        const cellSize = 60;
+        const grid = new Map();
+        const cells = (box, visit) => {
+            for (let cx = Math.floor(box.x1 / cellSize); cx <= Math.floor(box.x2 / cellSize); cx++) {
+                for (let cy = Math.floor(box.y1 / cellSize); cy <= Math.floor(box.y2 / cellSize); cy++) {
+                    if (visit(`${cx},${cy}`) === false) return false;
+                }
+            }
+            return true;
+        };
+        const occupy = box => cells(box, key => {
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(box);
+        });
+        const isFree = box => cells(box, key => !(grid.get(key) || []).some(other =>
+            box.x1 < other.x2 && box.x2 > other.x1 && box.y1 < other.y2 && box.y2 > other.y1));
 
-            const line = g.querySelector('line');
-            const label = g.querySelector('text');
+        this.nodes.forEach(node => occupy({
+            x1: node.x - node.radius, y1: node.y - node.radius,
+            x2: node.x + node.radius, y2: node.y + node.radius + 16
+        }));
 
-            line.setAttribute('x1', source.x);
-            line.setAttribute('y1', source.y);
-            line.setAttribute('x2', target.x);
-            line.setAttribute('y2', target.y);
+        const shifts = [0, 12, -12, 24, -24, 36];
+        labels.forEach(label => {
+            const halfWidth = label.text.length * 2.8 + 2;
+            const boxAt = (x, y) => ({ x1: x - halfWidth, y1: y - 7, x2: x + halfWidth, y2: y + 7 });
+
+            let spot = null;
+            for (const shift of shifts) {
+                const x = label.anchor.x + label.normal.x * shift;
+                const y = label.anchor.y + label.normal.y * shift;
+                if (isFree(boxAt(x, y))) {
+                    spot = { x, y };
+                    break;
+                }
+            }
 
-            label.setAttribute('x', (source.x + target.x) / 2);
-            label.setAttribute('y', (source.y + target.y) / 2 - 8);
+            // Crowded everywhere: keep the default spot
+            if (!spot) spot = label.anchor;
+            occupy(boxAt(spot.x, spot.y));
+            label.element.setAttribute('x', spot.x);
+            label.element.setAttribute('y', spot.y);
         });
+    }
+
+    renderNodes() {
+        this.nodesGroup.innerHTML = '';
+        this.nodeElements.clear();
+
+        if (this.renderer) {
+            this.requestDraw();
+            return;
+        }
+        this.nodes.forEach(node => this.renderNode(node));
+    }
+
+    // Create a node's element, replacing any existing one in place
+    renderNode(node) {
+        if (this.renderer) {
+            this.requestDraw();
+            return null;
+        }
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('class', this.selectedNodes.has(node.id) ? 'node-group selected' : 'node-group');
+        if (this.expansions.has(node.id)) g.classList.add('expanded');
+        if (node.diffStatus === 'added' || node.diffStatus === 'removed') g.classList.add(`diff-${node.diffStatus}`);
+        g.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+        g.dataset.nodeId = node.id;
+        g.id = this.nodeElementId(node.id);
+        g.setAttribute('role', 'button');
+        // Just the name here: counting connections per node would make a full render O(N·E),
+        // so the full description is built when keyboard focus arrives
+        g.setAttribute('aria-label', `${node.type ? node.type + ' ' : ''}${node.name}`);
+        if (node.id === this.keyboardNodeId) g.classList.add('keyboard-focus');
+
+        // Draw layer ring for non-center nodes
+        if (!node.isCenter && node.layer > 0) {
+            const layerRing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            layerRing.setAttribute('r', node.radius + 3);
+            layerRing.setAttribute('fill', 'none');
+            layerRing.setAttribute('stroke', '#e2e8f0');
+            layerRing.setAttribute('stroke-width', '1');
+            layerRing.setAttribute('opacity', '0.5');
+            g.appendChild(layerRing);
+        }
+
+        // Non-circular shapes keep the node-circle class so styling and highlighting apply alike
+        const points = shapePoints(this.getNodeShape(node.type), node.radius);
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', points ? 'polygon' : 'circle');
+        circle.setAttribute('class', 'node-circle');
+        if (points) {
+            circle.setAttribute('points', points.map(point => point.join(',')).join(' '));
+            circle.setAttribute('stroke-linejoin', 'round');
+        } else {
+            circle.setAttribute('r', node.radius);
+        }
+        circle.setAttribute('fill', this.getNodeFill(node));
+        circle.setAttribute('stroke', node.isCenter ? '#1e40af' : '#fff');
+        circle.setAttribute('stroke-width', node.isCenter ? 4 : 2);
+        circle.setAttribute('filter', `url(#shadow-${this.container.id})`);
+
+        // High risk indicator
+        if (node.riskScore >= 60) {
+            const riskRing = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            riskRing.setAttribute('r', node.radius + 6);
+            riskRing.setAttribute('fill', 'none');
+            riskRing.setAttribute('stroke', this.getRiskColor(node.riskScore));
+            riskRing.setAttribute('stroke-width', '3');
+            riskRing.setAttribute('stroke-dasharray', '6,3');
+            
+            // Animated pulse for very high risk
+            if (node.riskScore >= 80) {
+                const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+                animate.setAttribute('attributeName', 'opacity');
+                animate.setAttribute('values', '1;0.3;1');
+                animate.setAttribute('dur', '2s');
+                animate.setAttribute('repeatCount', 'indefinite');
+                riskRing.appendChild(animate);
+            }
+            
+            g.appendChild(riskRing);
+        }
+
+        g.appendChild(circle);
+
+        // Entity icon
+        const icon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        icon.setAttribute('text-anchor', 'middle');
+        icon.setAttribute('dominant-baseline', 'central');
+        icon.setAttribute('font-size', node.isCenter ? '24' : '18');
+        icon.setAttribute('pointer-events', 'none');
+        icon.textContent = this.getEntityEmoji(node.type);
+        g.appendChild(icon);
+
+        // Name label
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('y', node.radius + 16);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('font-size', node.isCenter ? '13' : '11');
+        label.setAttribute('font-weight', node.isCenter ? '700' : '500');
+        label.setAttribute('fill', '#334155');
+        label.setAttribute('pointer-events', 'none');
+        label.textContent = this.truncateName(node.name, node.isCenter ? 20 : 15);
+        g.appendChild(label);
+
+        // Risk score movement since the earlier snapshot
+        const riskChange = riskChangeLabel(node);
+        if (riskChange) {
+            const change = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            change.setAttribute('class', 'node-risk-change');
+            change.setAttribute('y', node.radius + 30);
+            change.setAttribute('text-anchor', 'middle');
+            change.setAttribute('font-size', '10');
+            change.setAttribute('font-weight', '600');
+            change.setAttribute('fill', node.riskScore > node.previousRiskScore ? DIFF_COLORS.removed : DIFF_COLORS.added);
+            change.setAttribute('pointer-events', 'none');
+            change.textContent = riskChange;
+            g.appendChild(change);
+        }
+
+        // Member count for super-nodes
+        if (node.groupCount) {
+            const countG = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            countG.setAttribute('class', 'node-group-count');
+            countG.setAttribute('transform', `translate(${-node.radius + 6}, ${-node.radius + 6})`);
+
+            const countCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            countCircle.setAttribute('r', '12');
+            countCircle.setAttribute('fill', '#334155');
+            countCircle.setAttribute('stroke', 'white');
+            countCircle.setAttribute('stroke-width', '2');
+
+            const countText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            countText.setAttribute('text-anchor', 'middle');
+            countText.setAttribute('dominant-baseline', 'central');
+            countText.setAttribute('font-size', '9');
+            countText.setAttribute('font-weight', 'bold');
+            countText.setAttribute('fill', 'white');
+            countText.setAttribute('pointer-events', 'none');
+            countText.textContent = node.groupCount;
+
+            countG.appendChild(countCircle);
+            countG.appendChild(countText);
+            g.appendChild(countG);
+
+            // Stacked look so a group reads as several entities
+            circle.setAttribute('stroke-dasharray', '5,3');
+        }
+
+        // Risk score badge
+        const badgeG = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        badgeG.setAttribute('transform', `translate(${node.radius - 6}, ${-node.radius + 6})`);
+
+        const badgeCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        badgeCircle.setAttribute('r', '12');
+        badgeCircle.setAttribute('fill', this.getRiskBadgeColor(node.riskScore));
+        badgeCircle.setAttribute('stroke', 'white');
+        badgeCircle.setAttribute('stroke-width', '2');
+
+        const badgeText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        badgeText.setAttribute('text-anchor', 'middle');
+        badgeText.setAttribute('dominant-baseline', 'central');
+        badgeText.setAttribute('font-size', '9');
+        badgeText.setAttribute('font-weight', 'bold');
+        badgeText.setAttribute('fill', 'white');
+        badgeText.setAttribute('pointer-events', 'none');
+        badgeText.textContent = Math.round(node.riskScore);
+
+        badgeG.appendChild(badgeCircle);
+        badgeG.appendChild(badgeText);
+        g.appendChild(badgeG);
+
+        const existing = this.nodeElements.get(node.id);
+        if (existing && existing.parentNode) {
+            existing.replaceWith(g);
+        } else {
+            this.nodesGroup.appendChild(g);
+        }
+        this.nodeElements.set(node.id, g);
+        if (node.badges) this.drawBadges(g, node);
+        if (this.timeWindow) this.applyTimeState(g, this.isInWindow(node));
+        if (this.filter) this.applyFilterState(g, this.filter.nodeIds.has(node.id));
+        this.updatePinIndicator(node);
+        return g;
+    }
+
+    updatePositions() {
+        this.updateEdges();
+        this.updateMinimap();
+        if (this.communities) this.updateHulls();
+        if (this.renderer) return;
 
-        this.nodesGroup.querySelectorAll('.node-group').forEach(g => {
-            const nodeId = g.dataset.nodeId;
-            const node = this.nodes.find(n => n.id === nodeId);
+        this.nodeElements.forEach((g, nodeId) => {
+            const node = this.nodeIndex.get(nodeId);
             if (!node) return;
 
             g.setAttribute('transform', `translate(${node.x}, ${node.y})`);
         });
     }
 
-    startSimulation() {
+    getLayoutOptions(run = {}) {
+        return {
+            theta: this.config.theta,
+            maxSteps: run.maxSteps || this.config.maxSteps,
+            initialAlpha: run.initialAlpha || 1,
+            bounds: simulationBounds(this.nodes.length)
+        };
+    }
+
+    // run.maxSteps / run.initialAlpha give a shorter, cooler warm start
+    startSimulation(run = {}) {
+        this.stopSimulation();
         this.simulationRunning = true;
+        this.links = resolveLinks(this.edges, this.nodeIndex);
+        this.layoutRun = this.getLayoutOptions(run);
+
+        // Large graphs settle in a worker so the UI thread stays responsive
+        if (this.nodes.length >= this.config.workerThreshold && this.startWorkerSimulation()) {
+            return;
+        }
+
         let steps = 0;
-        const maxSteps = 150; // Increased for better convergence
+        const { maxSteps, initialAlpha } = this.layoutRun;
+        const runId = this.layoutRunId;
 
         const tick = () => {
-            if (!this.simulationRunning || steps >= maxSteps) {
-                this.simulationRunning = false;
+            if (!this.simulationRunning || runId !== this.layoutRunId) return;
+            if (steps >= maxSteps) {
+                this.finishSimulation();
                 return;
             }
 
             steps++;
-            const alpha = 1 - (steps / maxSteps);
+            const alpha = initialAlpha * (1 - (steps / maxSteps));
             this.applyForces(alpha);
             this.updatePositions();
 
@@ -359,304 +787,1666 @@ class NetworkGraph {
         requestAnimationFrame(tick);
     }
 
-    applyForces(alpha) {
-        const repulsionStrength = 6000;
-        const attractionStrength = 0.06;
-        const centerStrength = 0.02;
-        const layerStrength = 0.03;
-        const damping = 0.8;
-
-        // Repulsion between all nodes
-        for (let i = 0; i < this.nodes.length; i++) {
-            for (let j = i + 1; j < this.nodes.length; j++) {
-                const n1 = this.nodes[i];
-                const n2 = this.nodes[j];
+    startWorkerSimulation() {
+        try {
+            if (!this.layoutWorker) {
+                this.layoutWorker = new Worker(new URL('./network-layout-worker.js', import.meta.url), { type: 'module' });
+                this.layoutWorker.onmessage = (e) => this.onWorkerMessage(e.data);
+                this.layoutWorker.onerror = (e) => {
+                    console.error('Network layout worker failed, falling back to main thread:', e.message);
+                    this.layoutWorker.terminate();
+                    this.layoutWorker = null;
+                    this.config.workerThreshold = Infinity;
+                    // Carry on from the worker's positions with the same run (a warm start stays warm)
+                    const { maxSteps, initialAlpha } = this.layoutRun;
+                    this.startSimulation({ maxSteps, initialAlpha });
+                };
+            }
+        } catch (error) {
+            console.warn('Web Workers unavailable, running layout on main thread:', error);
+            this.layoutWorker = null;
+            return false;
+        }
 
-                const dx = n1.x - n2.x;
-                const dy = n1.y - n2.y;
-                let dist = Math.sqrt(dx * dx + dy * dy);
-                if (dist < 1) dist = 1;
+        const positionOf = new Map(this.nodes.map((node, i) => [node, i]));
+        this.layoutWorker.postMessage({
+            type: 'start',
+            runId: this.layoutRunId,
+            nodes: this.nodes.map(node => ({
+                x: node.x,
+                y: node.y,
+                vx: node.vx,
+                vy: node.vy,
+                layer: node.layer,
+                isCenter: node.isCenter,
+                fixed: !!node.fixed
+            })),
+            links: this.links.map(link => ({
+                source: positionOf.get(link.source),
+                target: positionOf.get(link.target),
+                strength: link.strength
+            })),
+            options: this.layoutRun
+        });
+        return true;
+    }
 
-                // Stronger repulsion for nodes on same layer
-                const layerMultiplier = (n1.layer === n2.layer) ? 1.5 : 1.0;
-                const force = (repulsionStrength * layerMultiplier) / (dist * dist) * alpha;
-                const fx = (dx / dist) * force;
-                const fy = (dy / dist) * force;
+    onWorkerMessage(message) {
+        if (message.runId !== this.layoutRunId) return;
 
-                n1.vx += fx;
-                n1.vy += fy;
-                n2.vx -= fx;
-                n2.vy -= fy;
-            }
+        if (message.type === 'end') {
+            this.finishSimulation();
         }
 
-        // Attraction along edges
-        this.edges.forEach(edge => {
-            const source = this.nodes.find(n => n.id === edge.source);
-            const target = this.nodes.find(n => n.id === edge.target);
-            if (!source || !target) return;
-
-            const dx = target.x - source.x;
-            const dy = target.y - source.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            
-            // Target distance based on edge strength
-            const targetDist = edge.strength === 'Strong' ? 100 : 
-                             edge.strength === 'Medium' ? 140 : 180;
+        // Coalesce worker ticks into at most one DOM update per frame
+        const scheduled = this.pendingPositions !== null;
+        this.pendingPositions = message.positions;
+        if (scheduled) return;
 
-            const force = (dist - targetDist) * attractionStrength * alpha;
-            const fx = (dx / Math.max(1, dist)) * force;
-            const fy = (dy / Math.max(1, dist)) * force;
+        requestAnimationFrame(() => {
+            const positions = this.pendingPositions;
+            this.pendingPositions = null;
+            if (!positions || positions.length !== this.nodes.length * 2) return;
 
-            source.vx += fx;
-            source.vy += fy;
-            target.vx -= fx;
-            target.vy -= fy;
+            this.nodes.forEach((node, i) => {
+                if (this.draggedNodes.has(node)) return;
+                node.x = positions[i * 2];
+                node.y = positions[i * 2 + 1];
+            });
+            this.updatePositions();
         });
+    }
 
-        // Apply forces to each node
-        this.nodes.forEach(node => {
-            if (node === this.draggedNode) return;
+    finishSimulation() {
+        this.simulationRunning = false;
 
-            // Keep center node at center
-            if (node.isCenter) {
-                node.vx -= node.x * 0.1 * alpha;
-                node.vy -= node.y * 0.1 * alpha;
-            } else {
-                // Gentle pull toward center
-                node.vx -= node.x * centerStrength * alpha;
-                node.vy -= node.y * centerStrength * alpha;
-
-                // Encourage nodes to stay in their layer (circular constraint)
-                const currentDist = Math.sqrt(node.x * node.x + node.y * node.y);
-                const targetDist = node.layer * 180;
-                if (currentDist > 0 && targetDist > 0) {
-                    const distDiff = currentDist - targetDist;
-                    const force = distDiff * layerStrength * alpha;
-                    node.vx -= (node.x / currentDist) * force;
-                    node.vy -= (node.y / currentDist) * force;
-                }
+        // Restored positions are only held while the rest of the graph settles
+        this.nodes.forEach(node => {
+            if (node.held) {
+                node.held = false;
+                if (!this.draggedNodes.has(node)) node.fixed = node.pinned;
             }
+        });
+    }
 
-            // Apply damping
-            node.vx *= damping;
-            node.vy *= damping;
-
-            // Update position
-            node.x += node.vx;
-            node.y += node.vy;
+    stopSimulation() {
+        this.simulationRunning = false;
+        this.layoutRunId++;
+        this.pendingPositions = null;
+        if (this.layoutWorker) {
+            this.layoutWorker.postMessage({ type: 'stop' });
+        }
+    }
 
-            // Boundary constraints
-            const maxDist = 500;
-            node.x = Math.max(-maxDist, Math.min(maxDist, node.x));
-            node.y = Math.max(-maxDist, Math.min(maxDist, node.y));
-        });
+    applyForces(alpha) {
+        simulationTick(this.nodes, this.links, alpha, this.layoutRun);
     }
 
     setupEventListeners() {
-        // Node click handler
-        this.nodesGroup.addEventListener('mousedown', (e) => {
-            const nodeGroup = e.target.closest('.node-group');
-            if (nodeGroup) {
-                const nodeId = nodeGroup.dataset.nodeId;
-                this.draggedNode = this.nodes.find(n => n.id === nodeId);
-                this.selectedNode = this.draggedNode;
-                e.stopPropagation();
+        // Track every pointer before node handlers stop propagation, so a second
+        // finger anywhere turns the gesture into a pinch
+        this.svg.addEventListener('pointerdown', (e) => {
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.activePointers.size === 2) {
+                this.cancelPointerGesture();
+                this.startPinch();
             }
-        });
+        }, { capture: true });
+
+        // Node press selects (shift toggles) and drags the selection; on the
+        // background shift-drag draws a box, alt-drag a lasso, otherwise pan
+        this.svg.addEventListener('pointerdown', (e) => {
+            if (this.pinch || this.draggedNode || e.button !== 0) return;
+            this.gestureMoved = false;
+            this.panMoved = false;
 
-        this.nodesGroup.addEventListener('click', (e) => {
-            const nodeGroup = e.target.closest('.node-group');
-            if (nodeGroup && this.dotNetHelper) {
-                const nodeId = nodeGroup.dataset.nodeId;
-                this.dotNetHelper.invokeMethodAsync('OnNodeClicked', nodeId);
+            const node = this.nodeIndex.get(this.nodeAt(e));
+            if (node) {
+                if (e.shiftKey) {
+                    this.toggleSelection(node.id);
+                } else if (!this.selectedNodes.has(node.id)) {
+                    this.setSelection([node.id]);
+                }
+                this.selectedNode = node;
+                this.startDrag(node, this.clientToSvg(e.clientX, e.clientY), !e.shiftKey);
+            } else if (e.shiftKey || e.altKey) {
+                e.preventDefault();
+                this.startSelectionGesture(e.altKey ? 'lasso' : 'box', this.clientToSvg(e.clientX, e.clientY), e.shiftKey);
+            } else {
+                this.isPanning = true;
+                this.panStart = { x: e.clientX, y: e.clientY };
+                this.svg.style.cursor = 'grabbing';
             }
         });
 
-        // Context menu for nodes
-        this.nodesGroup.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            const nodeGroup = e.target.closest('.node-group');
-            if (nodeGroup) {
-                const nodeId = nodeGroup.dataset.nodeId;
-                this.showContextMenu(e.clientX, e.clientY, nodeId, null);
-            }
+        this.svg.addEventListener('click', (e) => {
+            // The press turned into a drag or pan
+            if (this.gestureMoved) return;
+            const nodeId = this.nodeAt(e);
+            if (!nodeId) return;
+
+            // The clicks of a double-click only expand the node; a single click
+            // is held back until it can't become one
+            clearTimeout(this.clickTimer);
+            this.clickTimer = null;
+            if (e.detail > 1) return;
+            this.clickTimer = setTimeout(() => {
+                this.clickTimer = null;
+                // Super-nodes are not entities: clicking one opens the group in place
+                this.activateNode(nodeId);
+            }, CLICK_DELAY);
         });
 
-        // Context menu for edges
-        this.edgesGroup.addEventListener('contextmenu', (e) => {
+        // Double-click loads a node's neighbourhood, or folds it away again
+        this.svg.addEventListener('dblclick', (e) => {
+            const nodeId = this.nodeAt(e);
+            if (!nodeId) return;
             e.preventDefault();
-            const edgeGroup = e.target.closest('g[data-edge-id]');
-            if (edgeGroup) {
-                const edgeId = edgeGroup.dataset.edgeId;
-                this.showContextMenu(e.clientX, e.clientY, null, edgeId);
+            clearTimeout(this.clickTimer);
+            this.clickTimer = null;
+            if (this.expansions.has(nodeId)) {
+                this.collapseNode(nodeId);
+            } else {
+                this.expandNode(nodeId).catch(error => console.error('Error expanding node:', error));
             }
         });
 
-        // Canvas context menu
+        // Context menu for nodes, edges and the canvas
         this.svg.addEventListener('contextmenu', (e) => {
-            const nodeGroup = e.target.closest('.node-group');
-            const edgeGroup = e.target.closest('g[data-edge-id]');
-            if (!nodeGroup && !edgeGroup) {
-                e.preventDefault();
-                this.showContextMenu(e.clientX, e.clientY, null, null);
-            }
+            e.preventDefault();
+            const nodeId = this.nodeAt(e);
+            const edgeId = nodeId ? null : this.edgeAt(e);
+            this.showContextMenu(e.clientX, e.clientY, nodeId, edgeId);
         });
 
-        this.svg.addEventListener('mousedown', (e) => {
-            if (!this.draggedNode) {
-                this.isPanning = true;
-                this.panStart = { x: e.clientX, y: e.clientY };
-                this.svg.style.cursor = 'grabbing';
-            }
-        });
+        this.svg.addEventListener('pointermove', (e) => {
+            if (!this.activePointers.has(e.pointerId)) return;
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
 
-        this.svg.addEventListener('mousemove', (e) => {
-            if (this.draggedNode) {
-                const rect = this.svg.getBoundingClientRect();
-                const svgX = (e.clientX - rect.left) / rect.width * this.viewBox.width + this.viewBox.x;
-                const svgY = (e.clientY - rect.top) / rect.height * this.viewBox.height + this.viewBox.y;
+            // Capture only once something is moving, so plain clicks still reach the node
+            if (!this.svg.hasPointerCapture?.(e.pointerId)) {
+                try {
+                    this.svg.setPointerCapture(e.pointerId);
+                } catch (error) {
+                    // Synthetic events cannot be captured
+                }
+            }
 
-                this.draggedNode.x = svgX;
-                this.draggedNode.y = svgY;
-                this.updatePositions();
+            if (this.pinch) {
+                this.updatePinch();
+            } else if (this.draggedNode) {
+                this.moveDrag(this.clientToSvg(e.clientX, e.clientY));
+            } else if (this.selectionGesture) {
+                this.updateSelectionGesture(this.clientToSvg(e.clientX, e.clientY));
             } else if (this.isPanning) {
-                const dx = (e.clientX - this.panStart.x) * this.zoom;
-                const dy = (e.clientY - this.panStart.y) * this.zoom;
-
-                this.viewBox.x -= dx;
-                this.viewBox.y -= dy;
+                const scale = this.unitsPerPixel();
+                this.viewBox.x -= (e.clientX - this.panStart.x) * scale;
+                this.viewBox.y -= (e.clientY - this.panStart.y) * scale;
                 this.updateViewBox();
 
                 this.panStart = { x: e.clientX, y: e.clientY };
+                this.panMoved = true;
             }
         });
 
-        this.svg.addEventListener('mouseup', () => {
-            this.draggedNode = null;
-            this.isPanning = false;
-            this.svg.style.cursor = 'grab';
-        });
+        const release = (e) => {
+            this.activePointers.delete(e.pointerId);
+            if (this.pinch) {
+                // Lifting one finger ends the pinch; the other does not start a pan
+                if (this.activePointers.size < 2) this.pinch = null;
+                return;
+            }
 
-        this.svg.addEventListener('mouseleave', () => {
-            this.draggedNode = null;
-            this.isPanning = false;
-            this.svg.style.cursor = 'grab';
-        });
+            this.gestureMoved = this.dragMoved || this.panMoved;
 
+            // A plain click on empty canvas clears the selection
+            if (e.type === 'pointerup' && this.isPanning && !this.panMoved) {
+                this.setSelection([]);
+            }
+            this.endDrag();
+        };
+        this.svg.addEventListener('pointerup', release);
+        this.svg.addEventListener('pointercancel', release);
+
+        // Wheel zoom keeps the point under the cursor fixed
         this.svg.addEventListener('wheel', (e) => {
             e.preventDefault();
-            if (e.deltaY < 0) this.zoomIn();
-            else this.zoomOut();
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            this.zoomAt(Math.exp(delta * 0.0015), this.clientToSvg(e.clientX, e.clientY));
+        }, { passive: false });
+    }
+
+    // Keyboard focus moves between entities; the SVG element itself holds DOM focus
+    setupKeyboardNavigation() {
+        this.svg.addEventListener('focus', () => {
+            if (!this.nodeIndex.has(this.keyboardNodeId)) {
+                const start = this.selectedNode || this.nodes.find(node => node.isCenter) || this.nodes[0];
+                if (start) this.setKeyboardFocus(start.id);
+            } else {
+                this.setKeyboardFocus(this.keyboardNodeId);
+            }
+        });
+        this.svg.addEventListener('blur', () => this.requestDraw());
+
+        this.svg.addEventListener('keydown', (e) => {
+            const node = this.nodeIndex.get(this.keyboardNodeId);
+            if (!node) return;
+
+            let handled = true;
+            if (ARROW_DIRECTIONS[e.key]) {
+                this.moveKeyboardFocus(ARROW_DIRECTIONS[e.key]);
+            } else if (e.key === 'Enter') {
+                this.activateNode(node.id);
+            } else if (e.key === ' ') {
+                this.toggleSelection(node.id);
+                announce(this.liveRegion, this.describeNode(node));
+            } else if (e.key === 'Home') {
+                const center = this.nodes.find(n => n.isCenter);
+                if (center) this.setKeyboardFocus(center.id);
+            } else if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+                const point = this.svgToClient(node.x, node.y);
+                this.showContextMenu(point.x, point.y, node.id, null);
+            } else {
+                handled = false;
+            }
+
+            // Keep arrows from scrolling the page and Space from reaching the global shortcuts
+            if (handled) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
         });
     }
 
-    updateViewBox() {
-        this.svg.setAttribute('viewBox',
-            `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`);
+    nodeElementId(nodeId) {
+        return `${this.container.id}-node-${String(nodeId).replace(/\s+/g, '_')}`;
     }
 
-    zoomIn() {
-        this.zoom = Math.max(0.5, this.zoom - 0.1);
-        this.viewBox.width = 1000 * this.zoom;
-        this.viewBox.height = 800 * this.zoom;
-        this.viewBox.x = -this.viewBox.width / 2;
-        this.viewBox.y = -this.viewBox.height / 2;
-        this.updateViewBox();
+    connectionCount(nodeId) {
+        return this.edges.filter(edge => edge.source === nodeId || edge.target === nodeId).length;
     }
 
-    zoomOut() {
-        this.zoom = Math.min(2, this.zoom + 0.1);
-        this.viewBox.width = 1000 * this.zoom;
-        this.viewBox.height = 800 * this.zoom;
-        this.viewBox.x = -this.viewBox.width / 2;
-        this.viewBox.y = -this.viewBox.height / 2;
-        this.updateViewBox();
+    describeNode(node) {
+        if (node.groupCount) {
+            return `Group of ${node.name}, ${this.connectionCount(node.id)} connections. Press Enter to expand.`;
+        }
+        return describeEntity({
+            type: node.type,
+            name: node.name,
+            riskScore: node.riskScore,
+            connections: this.connectionCount(node.id),
+            selected: this.selectedNodes.has(node.id)
+        });
     }
 
-    resetLayout() {
-        this.zoom = 1;
-        this.viewBox = { x: -500, y: -400, width: 1000, height: 800 };
-        this.updateViewBox();
-        this.parseData();
-        this.render();
-        this.startSimulation();
+    setKeyboardFocus(nodeId) {
+        const node = this.nodeIndex.get(nodeId);
+        if (!node) return false;
+
+        const previous = this.nodeElements.get(this.keyboardNodeId);
+        if (previous) previous.classList.remove('keyboard-focus');
+        this.keyboardNodeId = nodeId;
+
+        const g = this.nodeElements.get(nodeId);
+        if (g) {
+            g.classList.add('keyboard-focus');
+            g.setAttribute('aria-label', this.describeNode(node));
+            this.svg.setAttribute('aria-activedescendant', g.id);
+        } else {
+            this.svg.removeAttribute('aria-activedescendant');
+        }
+
+        // Bring the node into view if it is off screen
+        const view = this.viewTarget();
+        if (node.x < view.x || node.x > view.x + view.width || node.y < view.y || node.y > view.y + view.height) {
+            this.setViewport({ x: node.x - view.width / 2, y: node.y - view.height / 2, width: view.width }, true);
+        }
+
+        this.requestDraw();
+        announce(this.liveRegion, this.describeNode(node));
+        return true;
     }
 
-    highlightNode(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (node) {
-            this.selectedNode = node;
-            this.nodesGroup.querySelectorAll('.node-group').forEach(g => {
-                const isSelected = g.dataset.nodeId === nodeId;
-                const circle = g.querySelector('circle');
-                if (circle) {
-                    circle.setAttribute('filter', isSelected ? `url(#glow-${this.container.id})` : `url(#shadow-${this.container.id})`);
-                }
-            });
+    moveKeyboardFocus(direction) {
+        const node = this.nodeIndex.get(this.keyboardNodeId);
+        if (!node) return false;
+
+        const candidates = [];
+        this.edges.forEach(edge => {
+            const otherId = edge.source === node.id ? edge.target : edge.target === node.id ? edge.source : null;
+            const other = this.nodeIndex.get(otherId);
+            if (other && other !== node && this.nodeVisibility(other) !== 'hidden') {
+                candidates.push(other);
+            }
+        });
+
+        const next = pickNeighbour(node, candidates, direction);
+        if (!next) {
+            announce(this.liveRegion, candidates.length > 0
+                ? `No connected entity ${direction.name}`
+                : 'No connected entities');
+            return false;
         }
+        return this.setKeyboardFocus(next.id);
     }
 
-    focusOnNode(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (node) {
-            this.viewBox.x = node.x - this.viewBox.width / 2;
-            this.viewBox.y = node.y - this.viewBox.height / 2;
-            this.updateViewBox();
-            this.highlightNode(nodeId);
+    // Same as clicking the node
+    activateNode(nodeId) {
+        if (this.groups.has(nodeId)) {
+            this.expandGroup(nodeId);
+            return;
+        }
+        if (this.dotNetHelper) {
+            this.dotNetHelper.invokeMethodAsync('OnNodeClicked', nodeId);
         }
     }
 
-    getNodeColor(type) {
-        const colors = {
-            'Person': '#3b82f6',
-            'Organization': '#8b5cf6',
-            'Account': '#10b981',
-            'Transaction': '#f59e0b',
-            'Address': '#ec4899',
-            'Document': '#6366f1'
+    svgToClient(x, y) {
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        if (ctm && typeof DOMPoint !== 'undefined') {
+            const point = new DOMPoint(x, y).matrixTransform(ctm);
+            return { x: point.x, y: point.y };
+        }
+        const rect = this.svg.getBoundingClientRect();
+        return {
+            x: rect.left + ((x - this.viewBox.x) / this.viewBox.width) * rect.width,
+            y: rect.top + ((y - this.viewBox.y) / this.viewBox.height) * rect.height
         };
-        return colors[type] || '#94a3b8';
     }
 
-    getEntityEmoji(type) {
-        const emojis = {
-            'Person': '👤',
-            'Organization': '🏢',
-            'Account': '💳',
-            'Transaction': '💰',
-            'Address': '📍',
-            'Document': '📄'
-        };
-        return emojis[type] || '❓';
+    // Node or edge under a pointer event: the SVG element hit, or the renderer's hit test
+    nodeAt(e) {
+        if (this.renderer) {
+            const node = this.renderer.hitTestNode(this.clientToSvg(e.clientX, e.clientY));
+            return node ? node.id : null;
+        }
+        const nodeGroup = e.target.closest && e.target.closest('.node-group');
+        return nodeGroup ? nodeGroup.dataset.nodeId : null;
     }
 
-    getRiskColor(score) {
-        if (score >= 80) return '#ef4444';
-        if (score >= 60) return '#f59e0b';
-        if (score >= 40) return '#3b82f6';
-        return '#22c55e';
+    edgeAt(e) {
+        if (this.renderer) {
+            const edge = this.renderer.hitTestEdge(this.clientToSvg(e.clientX, e.clientY), 6 * this.unitsPerPixel());
+            return edge ? edge.id : null;
+        }
+        const edgeGroup = e.target.closest && e.target.closest('g[data-edge-id]');
+        return edgeGroup ? edgeGroup.dataset.edgeId : null;
     }
 
-    getRiskBadgeColor(score) {
-        if (score >= 80) return '#dc2626';
-        if (score >= 60) return '#d97706';
-        if (score >= 40) return '#2563eb';
-        return '#16a34a';
+    cancelPointerGesture() {
+        if (this.selectionGesture) {
+            this.selectionGesture.shape.remove();
+            this.selectionGesture = null;
+        }
+        this.endDrag();
+    }
+
+    startPinch() {
+        const [a, b] = Array.from(this.activePointers.values());
+        this.pinch = {
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            midpoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+        };
+    }
+
+    updatePinch() {
+        const [a, b] = Array.from(this.activePointers.values());
+        const distance = Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+        const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+        // Pan with the midpoint, then zoom about it
+        const scale = this.unitsPerPixel();
+        this.viewBox.x -= (midpoint.x - this.pinch.midpoint.x) * scale;
+        this.viewBox.y -= (midpoint.y - this.pinch.midpoint.y) * scale;
+        this.zoomAt(this.pinch.distance / distance, this.clientToSvg(midpoint.x, midpoint.y));
+
+        this.pinch = { distance, midpoint };
+    }
+
+    clientToSvg(clientX, clientY) {
+        // The screen CTM accounts for letterboxing when the aspect ratios differ
+        const ctm = this.svg.getScreenCTM ? this.svg.getScreenCTM() : null;
+        if (ctm && typeof DOMPoint !== 'undefined') {
+            const point = new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse());
+            return { x: point.x, y: point.y };
+        }
+
+        const rect = this.svg.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) / rect.width * this.viewBox.width + this.viewBox.x,
+            y: (clientY - rect.top) / rect.height * this.viewBox.height + this.viewBox.y
+        };
+    }
+
+    // Drag the pressed node, and every other selected node with it
+    startDrag(node, point, collapseOnClick) {
+        this.draggedNode = node;
+        this.collapseSelectionOnClick = collapseOnClick;
+        this.dragMoved = false;
+        this.draggedNodes.clear();
+
+        const group = this.selectedNodes.has(node.id)
+            ? Array.from(this.selectedNodes, id => this.nodeIndex.get(id)).filter(Boolean)
+            : [node];
+        group.forEach(member => {
+            member.fixed = true;
+            this.draggedNodes.set(member, { dx: member.x - point.x, dy: member.y - point.y });
+        });
+    }
+
+    moveDrag(point) {
+        this.draggedNodes.forEach((offset, node) => {
+            node.x = point.x + offset.dx;
+            node.y = point.y + offset.dy;
+            this.postToWorker('drag', node, { x: node.x, y: node.y });
+        });
+        this.dragMoved = true;
+        this.updatePositions();
+    }
+
+    endDrag() {
+        if (this.selectionGesture) {
+            this.finishSelectionGesture();
+        }
+
+        if (this.draggedNode) {
+            this.draggedNodes.forEach((offset, node) => {
+                // A node the analyst has moved stays where it was put
+                if (this.dragMoved) {
+                    this.setPinned(node, true);
+                } else if (!node.pinned && !node.held) {
+                    node.fixed = false;
+                    this.postToWorker('release', node);
+                }
+            });
+
+            // Clicking one node of a multi-selection selects just that node
+            if (!this.dragMoved && this.collapseSelectionOnClick && this.selectedNodes.size > 1) {
+                this.setSelection([this.draggedNode.id]);
+            }
+        }
+        this.dragMoved = false;
+        this.draggedNode = null;
+        this.draggedNodes.clear();
+        this.isPanning = false;
+        this.svg.style.cursor = 'grab';
+    }
+
+    startSelectionGesture(mode, point, additive) {
+        const shape = document.createElementNS('http://www.w3.org/2000/svg', mode === 'box' ? 'rect' : 'path');
+        shape.setAttribute('class', 'selection-marquee');
+        shape.setAttribute('fill', 'rgba(124, 58, 237, 0.08)');
+        shape.setAttribute('stroke', '#7c3aed');
+        shape.setAttribute('stroke-width', this.zoom);
+        shape.setAttribute('stroke-dasharray', `${4 * this.zoom},${3 * this.zoom}`);
+        shape.setAttribute('pointer-events', 'none');
+        this.svg.appendChild(shape);
+
+        this.selectionGesture = { mode, additive, origin: point, points: [point], shape };
+        this.svg.style.cursor = 'crosshair';
+        this.updateSelectionGesture(point);
+    }
+
+    updateSelectionGesture(point) {
+        const gesture = this.selectionGesture;
+        if (gesture.mode === 'box') {
+            gesture.points = [gesture.origin, point];
+            gesture.shape.setAttribute('x', Math.min(gesture.origin.x, point.x));
+            gesture.shape.setAttribute('y', Math.min(gesture.origin.y, point.y));
+            gesture.shape.setAttribute('width', Math.abs(point.x - gesture.origin.x));
+            gesture.shape.setAttribute('height', Math.abs(point.y - gesture.origin.y));
+        } else {
+            gesture.points.push(point);
+            gesture.shape.setAttribute('d', 'M' + gesture.points.map(p => `${p.x},${p.y}`).join('L') + 'Z');
+        }
+    }
+
+    finishSelectionGesture() {
+        const gesture = this.selectionGesture;
+        this.selectionGesture = null;
+        gesture.shape.remove();
+
+        let inside;
+        if (gesture.mode === 'box') {
+            const [a, b] = gesture.points;
+            const minX = Math.min(a.x, b.x), maxX = Math.max(a.x, b.x);
+            const minY = Math.min(a.y, b.y), maxY = Math.max(a.y, b.y);
+            inside = node => node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY;
+        } else {
+            if (gesture.points.length < 3) return;
+            inside = node => pointInPolygon(node, gesture.points);
+        }
+
+        const matched = this.nodes.filter(inside).map(node => node.id);
+        const ids = gesture.additive ? [...this.selectedNodes, ...matched] : matched;
+        this.setSelection(ids);
+    }
+
+    toggleSelection(nodeId) {
+        const ids = new Set(this.selectedNodes);
+        if (ids.has(nodeId)) ids.delete(nodeId);
+        else ids.add(nodeId);
+        this.setSelection([...ids]);
+    }
+
+    getSelection() {
+        return Array.from(this.selectedNodes);
+    }
+
+    // Replace the selection; reports to .NET only when it actually changed
+    setSelection(nodeIds, notify = true) {
+        const next = new Set((nodeIds || []).filter(id => this.nodeIndex.has(id)));
+        const changed = next.size !== this.selectedNodes.size || [...next].some(id => !this.selectedNodes.has(id));
+        this.selectedNodes = next;
+
+        this.nodeElements.forEach((g, nodeId) => {
+            g.classList.toggle('selected', next.has(nodeId));
+        });
+        this.requestDraw();
+
+        if (next.size === 0) {
+            this.selectedNode = null;
+        }
+
+        if (changed && notify && this.dotNetHelper) {
+            this.dotNetHelper.invokeMethodAsync('OnSelectionChanged', this.getSelection());
+        }
+        return next.size;
+    }
+
+    // Mirror a drag into the worker simulation while it is still running
+    postToWorker(type, node, payload = {}) {
+        if (!this.layoutWorker || !this.simulationRunning) return;
+        this.layoutWorker.postMessage({ type, index: this.nodes.indexOf(node), ...payload });
+    }
+
+    updateViewBox() {
+        this.svg.setAttribute('viewBox',
+            `${this.viewBox.x} ${this.viewBox.y} ${this.viewBox.width} ${this.viewBox.height}`);
+        this.updateMinimapViewport();
+        this.requestDraw();
+    }
+
+    createMinimap() {
+        if (this.minimap) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'graph-minimap';
+        panel.style.cssText = 'position: absolute; bottom: 10px; right: 10px; z-index: 10; width: 180px; height: 144px; background: rgba(255,255,255,0.95); border-radius: 6px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); overflow: hidden;';
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('height', '100%');
+        svg.style.cssText = 'display: block; touch-action: none; cursor: pointer;';
+
+        const dots = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        const viewport = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        viewport.setAttribute('fill', 'rgba(124, 58, 237, 0.1)');
+        viewport.setAttribute('stroke', '#7c3aed');
+        viewport.setAttribute('vector-effect', 'non-scaling-stroke');
+        viewport.setAttribute('stroke-width', '1.5');
+        viewport.style.cursor = 'move';
+
+        svg.appendChild(dots);
+        svg.appendChild(viewport);
+        panel.appendChild(svg);
+        this.wrapper.appendChild(panel);
+
+        this.minimap = { panel, svg, dots, viewport, dotElements: new Map(), bounds: null, drag: null };
+
+        // Press the viewport to drag it; press elsewhere to jump there and keep dragging
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const point = this.minimapToSvg(e.clientX, e.clientY);
+            const view = this.viewTarget();
+            const onViewport = e.target === viewport;
+            const offset = onViewport
+                ? { x: point.x - view.x, y: point.y - view.y }
+                : { x: view.width / 2, y: view.height / 2 };
+
+            this.minimap.drag = { pointerId: e.pointerId, offset };
+            try {
+                svg.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // Synthetic events cannot be captured
+            }
+            if (!onViewport) this.setViewport({ x: point.x - offset.x, y: point.y - offset.y, width: view.width });
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            const drag = this.minimap.drag;
+            if (!drag || drag.pointerId !== e.pointerId) return;
+            const point = this.minimapToSvg(e.clientX, e.clientY);
+            this.setViewport({ x: point.x - drag.offset.x, y: point.y - drag.offset.y, width: this.viewBox.width });
+        });
+
+        const release = (e) => {
+            if (!this.minimap.drag || this.minimap.drag.pointerId !== e.pointerId) return;
+            this.minimap.drag = null;
+            // The overview stays still while dragging; refit it now
+            this.updateMinimap();
+        };
+        svg.addEventListener('pointerup', release);
+        svg.addEventListener('pointercancel', release);
+
+        // Wheel over the overview zooms the main view about its centre
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAt(Math.exp(e.deltaY * 0.0015), this.viewCenter());
+        }, { passive: false });
+
+        this.updateMinimap();
+    }
+
+    removeMinimap() {
+        if (!this.minimap) return;
+        this.minimap.panel.remove();
+        this.minimap = null;
+    }
+
+    setMinimapVisible(visible) {
+        this.config.showMinimap = !!visible;
+        if (visible) {
+            this.createMinimap();
+        } else {
+            this.removeMinimap();
+        }
+    }
+
+    minimapToSvg(clientX, clientY) {
+        const rect = this.minimap.svg.getBoundingClientRect();
+        const bounds = this.minimap.bounds;
+        if (!rect.width || !rect.height || !bounds) return this.viewCenter();
+
+        // The overview is drawn with "meet" scaling, centred in the panel
+        const scale = Math.max(bounds.width / rect.width, bounds.height / rect.height);
+        return {
+            x: bounds.x + bounds.width / 2 + (clientX - rect.left - rect.width / 2) * scale,
+            y: bounds.y + bounds.height / 2 + (clientY - rect.top - rect.height / 2) * scale
+        };
+    }
+
+    updateMinimap() {
+        const minimap = this.minimap;
+        if (!minimap) return;
+
+        const dotElements = minimap.dotElements;
+        dotElements.forEach((dot, nodeId) => {
+            if (!this.nodeIndex.has(nodeId)) {
+                dot.remove();
+                dotElements.delete(nodeId);
+            }
+        });
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.nodes.forEach(node => {
+            let dot = dotElements.get(node.id);
+            if (!dot) {
+                dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                minimap.dots.appendChild(dot);
+                dotElements.set(node.id, dot);
+            }
+            dot.setAttribute('r', node.radius);
+            const fill = this.getNodeFill(node);
+            if (dot.getAttribute('fill') !== fill) dot.setAttribute('fill', fill);
+            dot.setAttribute('cx', node.x);
+            dot.setAttribute('cy', node.y);
+
+            minX = Math.min(minX, node.x - node.radius);
+            minY = Math.min(minY, node.y - node.radius);
+            maxX = Math.max(maxX, node.x + node.radius);
+            maxY = Math.max(maxY, node.y + node.radius);
+        });
+
+        // Keep the overview still while its viewport is being dragged
+        if (!minimap.drag && this.nodes.length > 0) {
+            const padding = Math.max(maxX - minX, maxY - minY) * 0.05 + 20;
+            minimap.bounds = {
+                x: minX - padding,
+                y: minY - padding,
+                width: (maxX - minX) + padding * 2,
+                height: (maxY - minY) + padding * 2
+            };
+            minimap.svg.setAttribute('viewBox',
+                `${minimap.bounds.x} ${minimap.bounds.y} ${minimap.bounds.width} ${minimap.bounds.height}`);
+        }
+
+        this.updateMinimapViewport();
+    }
+
+    updateMinimapViewport() {
+        if (!this.minimap) return;
+        const viewport = this.minimap.viewport;
+        viewport.setAttribute('x', this.viewBox.x);
+        viewport.setAttribute('y', this.viewBox.y);
+        viewport.setAttribute('width', this.viewBox.width);
+        viewport.setAttribute('height', this.viewBox.height);
+    }
+
+    // SVG units per screen pixel under the default "meet" scaling
+    unitsPerPixel() {
+        const rect = this.svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) return this.zoom;
+        return Math.max(this.viewBox.width / rect.width, this.viewBox.height / rect.height);
+    }
+
+    viewCenter() {
+        return {
+            x: this.viewBox.x + this.viewBox.width / 2,
+            y: this.viewBox.y + this.viewBox.height / 2
+        };
+    }
+
+    // Scale the view by factor (> 1 zooms out) keeping `point` where it is on screen
+    zoomAt(factor, point, animate = false) {
+        const current = this.viewTarget();
+        const zoom = Math.max(this.config.minZoom, Math.min(this.config.maxZoom, (current.width / 1000) * factor));
+        const applied = (zoom * 1000) / current.width;
+
+        this.setViewport({
+            x: point.x - (point.x - current.x) * applied,
+            y: point.y - (point.y - current.y) * applied,
+            width: zoom * 1000,
+            height: zoom * 800
+        }, animate);
+    }
+
+    zoomIn() {
+        this.zoomAt(1 / 1.25, this.viewCenter(), true);
+    }
+
+    zoomOut() {
+        this.zoomAt(1.25, this.viewCenter(), true);
+    }
+
+    fitToView(padding = 40, animate = true) {
+        if (this.nodes.length === 0) return;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.nodes.forEach(node => {
+            minX = Math.min(minX, node.x - node.radius);
+            minY = Math.min(minY, node.y - node.radius);
+            maxX = Math.max(maxX, node.x + node.radius);
+            // Leave room for the name label under the node
+            maxY = Math.max(maxY, node.y + node.radius + 20);
+        });
+
+        const width = (maxX - minX) + padding * 2;
+        const height = (maxY - minY) + padding * 2;
+        const zoom = Math.max(this.config.minZoom, Math.min(this.config.maxZoom, Math.max(width / 1000, height / 800)));
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+
+        this.setViewport({
+            x: cx - zoom * 500,
+            y: cy - zoom * 400,
+            width: zoom * 1000,
+            height: zoom * 800
+        }, animate);
+    }
+
+    getViewport() {
+        const view = this.viewTarget();
+        return { x: view.x, y: view.y, width: view.width, height: view.height, zoom: view.width / 1000 };
+    }
+
+    // Where the view is headed: the end of a running animation, else the current view
+    viewTarget() {
+        return this.viewAnimation ? { ...this.viewAnimation.to } : { ...this.viewBox };
+    }
+
+    setViewport(viewport, animate = false) {
+        const width = viewport.width || (viewport.zoom ? viewport.zoom * 1000 : this.viewBox.width);
+        const to = {
+            x: Number.isFinite(viewport.x) ? viewport.x : this.viewBox.x,
+            y: Number.isFinite(viewport.y) ? viewport.y : this.viewBox.y,
+            width: width,
+            height: width * 0.8
+        };
+
+        if (!animate) {
+            this.viewAnimation = null;
+            this.applyViewBox(to);
+            return;
+        }
+
+        const from = { ...this.viewBox };
+        const duration = 250;
+        const start = performance.now();
+        const animation = { to };
+        this.viewAnimation = animation;
+
+        const step = (now) => {
+            if (this.viewAnimation !== animation) return;
+            const t = Math.min(1, (now - start) / duration);
+            const eased = 1 - Math.pow(1 - t, 3);
+            this.applyViewBox({
+                x: from.x + (to.x - from.x) * eased,
+                y: from.y + (to.y - from.y) * eased,
+                width: from.width + (to.width - from.width) * eased,
+                height: from.height + (to.height - from.height) * eased
+            });
+            if (t < 1) {
+                requestAnimationFrame(step);
+            } else {
+                this.viewAnimation = null;
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    applyViewBox(view) {
+        this.viewBox = view;
+        this.zoom = view.width / 1000;
+        this.updateViewBox();
+    }
+
+    // Re-runs the layout for every node except the pinned ones, which keep
+    // their saved place; unpin a node first to let reset move it
+    resetLayout() {
+        this.viewAnimation = null;
+        this.applyViewBox({ x: -500, y: -400, width: 1000, height: 800 });
+
+        // Super-nodes are not part of the data; rebuild them from their definitions
+        const groups = this.getGroupDefinitions();
+        this.expandAllGroups();
+        // Write out a drag still waiting on the debounce before reading it back
+        if (this.layoutSaveTimer) this.saveLayout();
+        this.parseData();
+        // Nodes the analyst placed by hand stay put
+        this.applyPositions(loadLayout(this.layoutKey));
+        this.render();
+        this.applyGroupDefinitions(groups);
+        this.startSimulation();
+    }
+
+    setPinned(node, pinned) {
+        node.pinned = pinned;
+        node.fixed = pinned || !!node.held;
+        if (pinned) {
+            this.postToWorker('drag', node, { x: node.x, y: node.y });
+        } else if (!node.fixed) {
+            this.postToWorker('release', node);
+        }
+        this.updatePinIndicator(node);
+        this.scheduleLayoutSave();
+    }
+
+    // Save pinned positions shortly after the last change
+    scheduleLayoutSave() {
+        if (!this.layoutKey) return;
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = setTimeout(() => this.saveLayout(), 500);
+    }
+
+    saveLayout() {
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = null;
+        if (!this.layoutKey) return false;
+
+        const positions = this.nodes
+            .filter(node => node.pinned)
+            .map(node => ({ id: node.id, x: node.x, y: node.y, pinned: true }));
+        return saveLayout(this.layoutKey, positions, this.config.maxSavedLayouts);
+    }
+
+    // Forget the saved layout; nodes on screen keep their positions
+    clearSavedLayout() {
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = null;
+        return removeLayout(this.layoutKey);
+    }
+
+    updatePinIndicator(node) {
+        this.requestDraw();
+        const g = this.nodeElements.get(node.id);
+        if (!g) return;
+
+        const existing = g.querySelector('.node-pin');
+        if (!node.pinned) {
+            if (existing) existing.remove();
+            return;
+        }
+        if (existing) return;
+
+        const pin = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        pin.setAttribute('class', 'node-pin');
+        pin.setAttribute('x', -node.radius + 2);
+        pin.setAttribute('y', -node.radius + 4);
+        pin.setAttribute('text-anchor', 'middle');
+        pin.setAttribute('font-size', '12');
+        pin.setAttribute('pointer-events', 'none');
+        pin.textContent = '📌';
+        g.appendChild(pin);
+    }
+
+    pinNodes(nodeIds, pinned) {
+        const targets = nodeIds ? nodeIds.map(id => this.nodeIndex.get(id)).filter(Boolean) : this.nodes;
+        targets.forEach(node => this.setPinned(node, pinned));
+        return targets.length;
+    }
+
+    getPositions() {
+        return this.nodes.map(node => ({
+            id: node.id,
+            x: node.x,
+            y: node.y,
+            pinned: !!node.pinned
+        }));
+    }
+
+    // Copy saved positions onto matching nodes; returns how many were restored
+    applyPositions(positions) {
+        let restored = 0;
+        (positions || []).forEach(position => {
+            const node = this.nodeIndex.get(position.id);
+            if (!node || !Number.isFinite(position.x) || !Number.isFinite(position.y)) return;
+
+            node.x = position.x;
+            node.y = position.y;
+            node.vx = 0;
+            node.vy = 0;
+            node.pinned = !!position.pinned;
+            node.held = true;
+            node.fixed = true;
+            restored++;
+        });
+        return restored;
+    }
+
+    setPositions(positions) {
+        this.stopSimulation();
+        const restored = this.applyPositions(positions);
+        this.nodes.forEach(node => this.updatePinIndicator(node));
+        this.updatePositions();
+        this.scheduleLayoutSave();
+
+        // Let any nodes without a saved position settle around the restored ones
+        if (restored < this.nodes.length) {
+            this.startSimulation();
+        } else {
+            this.finishSimulation();
+        }
+        return restored;
+    }
+
+    // Add nodes (and optionally their relationships) without re-laying out the graph
+    addNodes(nodesData, relationships = []) {
+        this.data.nodes = this.data.nodes || [];
+        const waiting = this.nodes.filter(node => node.awaitingNeighbours);
+        // Nodes folded into a group are already here, just hidden
+        const hiddenIn = this.hiddenMembers();
+        const added = [];
+        (nodesData || []).forEach(raw => {
+            if (!raw || this.nodeIndex.has(raw.id) || hiddenIn.has(raw.id)) return;
+            const node = this.createNode(raw, 0, 0);
+            this.nodes.push(node);
+            this.nodeIndex.set(node.id, node);
+            this.data.nodes.push(raw);
+            added.push(node);
+        });
+
+        this.addEdgeRecords(relationships);
+        this.placeNearNeighbours(added.concat(waiting));
+        added.forEach(node => this.renderNode(node));
+        this.renderMissingEdges();
+        this.updatePositions();
+        this.warmStart(added.concat(waiting.filter(node => !node.awaitingNeighbours)));
+        if (added.length > 0) {
+            this.updateLegend();
+            this.refreshFilter();
+        }
+        return added.length;
+    }
+
+    addEdges(relationships) {
+        const added = this.addEdgeRecords(relationships);
+        if (added.length === 0) return 0;
+
+        // Nodes added before their relationships arrived can now move next to them
+        const waiting = this.nodes.filter(node => node.awaitingNeighbours);
+        this.placeNearNeighbours(waiting);
+        this.renderMissingEdges();
+        this.updatePositions();
+        this.warmStart(waiting.filter(node => !node.awaitingNeighbours));
+        this.refreshFilter();
+        return added.length;
+    }
+
+    addEdgeRecords(relationships) {
+        this.data.relationships = this.data.relationships || [];
+        const known = new Set(this.edges.map(edge => edge.id));
+        const hiddenIn = this.hiddenMembers();
+        const added = [];
+        (relationships || []).forEach(rel => {
+            if (!rel || known.has(rel.id)) return;
+            const hiddenEnd = [rel.sourceEntityId, rel.targetEntityId].find(id => hiddenIn.has(id));
+            if (hiddenEnd !== undefined) {
+                this.foldIntoGroup(hiddenIn.get(hiddenEnd), hiddenEnd, rel);
+                return;
+            }
+            const edge = this.createEdge(rel);
+            this.edges.push(edge);
+            this.data.relationships.push(rel);
+            known.add(edge.id);
+            added.push(edge);
+        });
+        return added;
+    }
+
+    // Draw edges whose endpoints both exist but which have no element yet
+    renderMissingEdges() {
+        this.edges.forEach(edge => {
+            if (!this.edgeElements.has(edge.id)) this.renderEdge(edge);
+        });
+    }
+
+    // Start new nodes a short, seeded distance from the centroid of their placed neighbours
+    placeNearNeighbours(nodes) {
+        const pending = new Set(nodes);
+        const placed = node => !pending.has(node);
+
+        let progress = true;
+        while (pending.size > 0 && progress) {
+            progress = false;
+            pending.forEach(node => {
+                const neighbours = this.edges
+                    .filter(edge => edge.source === node.id || edge.target === node.id)
+                    .map(edge => this.nodeIndex.get(edge.source === node.id ? edge.target : edge.source))
+                    .filter(neighbour => neighbour && neighbour !== node && placed(neighbour));
+                if (neighbours.length === 0) return;
+
+                const random = createRandom(`${this.config.layoutSeed}:${node.id}`);
+                const cx = neighbours.reduce((sum, n) => sum + n.x, 0) / neighbours.length;
+                const cy = neighbours.reduce((sum, n) => sum + n.y, 0) / neighbours.length;
+                const angle = random() * 2 * Math.PI;
+                const distance = 60 + random() * 40;
+                this.moveNewNode(node, cx + Math.cos(angle) * distance, cy + Math.sin(angle) * distance);
+                node.awaitingNeighbours = false;
+                pending.delete(node);
+                progress = true;
+            });
+        }
+
+        // Unconnected nodes wait on the outer ring for their relationships
+        pending.forEach(node => {
+            const random = createRandom(`${this.config.layoutSeed}:${node.id}`);
+            const angle = random() * 2 * Math.PI;
+            this.moveNewNode(node, Math.cos(angle) * 360, Math.sin(angle) * 360);
+            node.awaitingNeighbours = true;
+        });
+    }
+
+    moveNewNode(node, x, y) {
+        node.x = x;
+        node.y = y;
+        node.vx = 0;
+        node.vy = 0;
+        if (!node.isCenter) {
+            node.layer = Math.floor(Math.sqrt(x * x + y * y) / 180);
+        }
+    }
+
+    // Let only the given nodes settle; everything else is held where it is
+    warmStart(nodes) {
+        if (nodes.length === 0) return;
+
+        // Mid-layout there is nothing stable to preserve yet
+        if (this.simulationRunning) {
+            this.startSimulation();
+            return;
+        }
+
+        const moving = new Set(nodes);
+        this.nodes.forEach(node => {
+            if (!moving.has(node) && !node.fixed) {
+                node.held = true;
+                node.fixed = true;
+            }
+        });
+        this.startSimulation({ maxSteps: 80, initialAlpha: 0.5 });
+    }
+
+    updateNode(nodeData) {
+        const node = nodeData && this.nodeIndex.get(nodeData.id);
+        if (!node) return false;
+
+        const updated = this.createNode(nodeData, node.x, node.y);
+        NODE_DATA_FIELDS.forEach(field => { node[field] = updated[field]; });
+        this.renderNode(node);
+        this.updateLegend();
+        // New dates or attributes can move the node in or out of the window and filter
+        this.refreshTimeWindow();
+        this.refreshFilter();
+
+        const index = (this.data.nodes || []).findIndex(raw => raw.id === node.id);
+        if (index >= 0) this.data.nodes[index] = nodeData;
+        return true;
+    }
+
+    /**
+     * Ask .NET (OnExpandNode) for a node's neighbours up to `hops` away and
+     * merge them in next to it. .NET returns { nodes, relationships }; only
+     * elements not already on the graph are added and remembered so that
+     * collapseNode can take them away again.
+     */
+    async expandNode(nodeId, hops = this.config.expandHops) {
+        if (!this.nodeIndex.has(nodeId) || !this.dotNetHelper) return null;
+        if (this.expansions.has(nodeId)) return this.expansions.get(nodeId);
+        if (this.pendingExpansions.has(nodeId)) return null;
+
+        const g = this.nodeElements.get(nodeId);
+        this.pendingExpansions.add(nodeId);
+        if (g) g.classList.add('expanding');
+        this.requestDraw();
+
+        let result;
+        try {
+            result = await this.dotNetHelper.invokeMethodAsync('OnExpandNode', nodeId, hops);
+        } finally {
+            this.pendingExpansions.delete(nodeId);
+            if (!this.destroyed) {
+                const current = this.nodeElements.get(nodeId);
+                if (current) current.classList.remove('expanding');
+                this.requestDraw();
+            }
+        }
+
+        // The graph may have been destroyed or re-rendered, or the node removed, while .NET was answering
+        if (this.destroyed || graphs.get(this.container.id) !== this) return null;
+        if (!result || !this.nodeIndex.has(nodeId)) return null;
+        return this.mergeExpansion(nodeId, hops, result.nodes || [], result.relationships || []);
+    }
+
+    mergeExpansion(nodeId, hops, nodesData, relationships) {
+        const knownEdges = new Set(this.edges.map(edge => edge.id));
+        const hiddenIn = this.hiddenMembers();
+        const nodeIds = nodesData
+            .filter(raw => raw && !this.nodeIndex.has(raw.id) && !hiddenIn.has(raw.id))
+            .map(raw => raw.id);
+        const edgeIds = relationships
+            .filter(rel => rel && !knownEdges.has(rel.id))
+            .map(rel => rel.id);
+
+        // New neighbours are placed around the nodes they connect to, so next to the parent
+        this.addNodes(nodesData, relationships);
+
+        const expansion = { nodeId, hops, nodeIds: Array.from(new Set(nodeIds)), edgeIds };
+        this.expansions.set(nodeId, expansion);
+        const g = this.nodeElements.get(nodeId);
+        if (g) g.classList.add('expanded');
+        this.requestDraw();
+        return expansion;
+    }
+
+    /**
+     * Remove the nodes and relationships an expansion added. Expansions made
+     * from those nodes go with them. Returns the number of nodes removed.
+     */
+    collapseNode(nodeId) {
+        const expansion = this.expansions.get(nodeId);
+        if (!expansion) return 0;
+
+        let removed = 0;
+        expansion.nodeIds.forEach(id => {
+            if (this.expansions.has(id)) removed += this.collapseNode(id);
+        });
+
+        this.expansions.delete(nodeId);
+        removed += this.removeNodes(expansion.nodeIds);
+        this.removeEdges(expansion.edgeIds);
+
+        const g = this.nodeElements.get(nodeId);
+        if (g) g.classList.remove('expanded');
+        this.requestDraw();
+        return removed;
+    }
+
+    getExpansions() {
+        return Array.from(this.expansions.values()).map(expansion => ({ ...expansion }));
+    }
+
+    // Attribute value used for grouping: node fields first, then the raw entity data
+    groupValue(node, raw, attribute) {
+        if (node[attribute] !== undefined && node[attribute] !== null) return node[attribute];
+        if (!raw) return undefined;
+        if (raw[attribute] !== undefined && raw[attribute] !== null) return raw[attribute];
+        return raw.properties ? raw.properties[attribute] : undefined;
+    }
+
+    /**
+     * Fold the neighbours of a node that share a value of `attribute` (default
+     * 'type') into one super-node per value. Options: attribute, minSize
+     * (smallest group worth folding, default 2) and values to restrict which
+     * values are grouped. Returns the created group definitions.
+     */
+    groupNeighbours(nodeId, options = {}) {
+        const anchor = this.nodeIndex.get(nodeId);
+        if (!anchor) return [];
+
+        const attribute = options.attribute || 'type';
+        const minSize = options.minSize || 2;
+        const values = options.values ? new Set(options.values.map(String)) : null;
+        const rawById = new Map((this.data.nodes || []).map(raw => [raw.id, raw]));
+
+        const buckets = new Map();
+        this.edges.forEach(edge => {
+            const otherId = edge.source === nodeId ? edge.target : edge.target === nodeId ? edge.source : null;
+            if (otherId === null || otherId === nodeId) return;
+            const other = this.nodeIndex.get(otherId);
+            // The center entity and existing super-nodes stay as they are
+            if (!other || other.isCenter || this.groups.has(otherId)) return;
+
+            const value = this.groupValue(other, rawById.get(otherId), attribute);
+            if (value === undefined || value === null || (values && !values.has(String(value)))) return;
+
+            const key = String(value);
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(otherId);
+        });
+
+        const created = [];
+        buckets.forEach((memberIds, value) => {
+            if (memberIds.size < minSize) return;
+            const definition = this.createGroup({
+                groupId: `group:${nodeId}:${attribute}:${value}`,
+                nodeId,
+                attribute,
+                value,
+                memberIds: Array.from(memberIds)
+            });
+            if (definition) created.push(definition);
+        });
+
+        if (created.length > 0) this.restartIfRunning();
+        return created;
+    }
+
+    // Replace the member nodes with a super-node carrying aggregated edges
+    createGroup(definition) {
+        const members = definition.memberIds
+            .map(id => this.nodeIndex.get(id))
+            .filter(node => node && !this.groups.has(node.id));
+        if (members.length === 0 || this.nodeIndex.has(definition.groupId)) return null;
+
+        const memberIds = new Set(members.map(node => node.id));
+        const rawNodes = (this.data.nodes || []).filter(raw => memberIds.has(raw.id));
+        const memberEdges = this.edges.filter(edge => memberIds.has(edge.source) || memberIds.has(edge.target));
+        const edgeIds = new Set(memberEdges.map(edge => edge.id));
+        const rawRelationships = (this.data.relationships || []).filter(rel => edgeIds.has(rel.id));
+
+        const cx = members.reduce((sum, node) => sum + node.x, 0) / members.length;
+        const cy = members.reduce((sum, node) => sum + node.y, 0) / members.length;
+
+        // Positions are kept relative to the group centre so expanding restores the shape
+        const stored = {
+            ...definition,
+            memberIds: Array.from(memberIds),
+            rawNodes,
+            rawRelationships,
+            offsets: new Map(members.map(node => [node.id, { x: node.x - cx, y: node.y - cy, pinned: node.pinned }]))
+        };
+
+        // One aggregated edge per outside node, as strong as its strongest member link
+        const aggregated = new Map();
+        memberEdges.forEach(edge => {
+            const outside = memberIds.has(edge.source) ? edge.target : edge.source;
+            if (memberIds.has(outside)) return;
+            const current = aggregated.get(outside);
+            if (!current) {
+                aggregated.set(outside, { count: 1, strength: edge.strength, type: edge.type });
+                return;
+            }
+            current.count++;
+            if ((STRENGTH_RANK[edge.strength] || 2) > (STRENGTH_RANK[current.strength] || 2)) current.strength = edge.strength;
+            if (current.type !== edge.type) current.type = null;
+        });
+
+        // Members come back on expand, so their expansion records are kept
+        this.removeNodes(stored.memberIds, { keepExpansions: true });
+
+        const typeCounts = new Map();
+        members.forEach(node => typeCounts.set(node.type, (typeCounts.get(node.type) || 0) + 1));
+        const type = definition.attribute === 'type'
+            ? definition.value
+            : Array.from(typeCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+        const superNode = this.createNode({
+            id: definition.groupId,
+            name: `${members.length} × ${definition.value}`,
+            type,
+            riskScore: Math.max(...members.map(node => node.riskScore))
+        }, cx, cy);
+        superNode.groupCount = members.length;
+        this.nodes.push(superNode);
+        this.nodeIndex.set(superNode.id, superNode);
+        this.groups.set(superNode.id, stored);
+
+        aggregated.forEach((link, outsideId) => this.linkGroup(superNode.id, outsideId, link));
+
+        this.renderNode(superNode);
+        this.renderMissingEdges();
+        this.updatePositions();
+        this.updateLegend();
+        this.refreshFilter();
+        return this.describeGroup(stored);
+    }
+
+    /**
+     * Aggregated edge between a super-node and an outside node. A link to a
+     * node that already has one is folded into it and the edge redrawn.
+     */
+    linkGroup(groupId, outsideId, link) {
+        const id = `${groupId}:${outsideId}`;
+        const existing = this.edges.find(edge => edge.id === id);
+        const merged = existing ? {
+            count: existing.linkCount + link.count,
+            strength: (STRENGTH_RANK[link.strength] || 2) > (STRENGTH_RANK[existing.strength] || 2) ? link.strength : existing.strength,
+            type: existing.linkType === link.type ? link.type : null
+        } : link;
+
+        const edge = this.createEdge({
+            id,
+            sourceEntityId: outsideId,
+            targetEntityId: groupId,
+            type: merged.count > 1 ? `${merged.type || 'Related'} ×${merged.count}` : (merged.type || 'Related'),
+            strength: merged.strength,
+            directed: false
+        });
+        edge.aggregated = true;
+        edge.linkCount = merged.count;
+        edge.linkType = merged.type;
+
+        if (!existing) {
+            this.edges.push(edge);
+            return;
+        }
+        Object.assign(existing, edge);
+        const elements = this.edgeElements.get(id);
+        if (elements) elements.g.remove();
+        this.edgeElements.delete(id);
+    }
+
+    // Group each hidden member node is folded into
+    hiddenMembers() {
+        const hiddenIn = new Map();
+        this.groups.forEach((group, groupId) => group.memberIds.forEach(id => hiddenIn.set(id, groupId)));
+        return hiddenIn;
+    }
+
+    // Keep a relationship of a hidden member with its group until the group is
+    // expanded, linking the super-node to the other end meanwhile
+    foldIntoGroup(groupId, memberId, rel) {
+        const group = this.groups.get(groupId);
+        if (group.rawRelationships.some(existing => existing.id === rel.id)) return;
+        group.rawRelationships.push(rel);
+
+        const otherId = rel.sourceEntityId === memberId ? rel.targetEntityId : rel.sourceEntityId;
+        if (!this.nodeIndex.has(otherId)) return;
+        this.linkGroup(groupId, otherId, { count: 1, strength: rel.strength || 'Medium', type: rel.type || 'Related' });
+    }
+
+    // Put a group's members back where the super-node now is
+    expandGroup(groupId) {
+        const group = this.groups.get(groupId);
+        const superNode = this.nodeIndex.get(groupId);
+        if (!group || !superNode) return 0;
+
+        this.groups.delete(groupId);
+        this.removeNodes([groupId]);
+
+        this.data.nodes = this.data.nodes || [];
+        const restored = [];
+        group.rawNodes.forEach(raw => {
+            if (this.nodeIndex.has(raw.id)) return;
+            const offset = group.offsets.get(raw.id) || { x: 0, y: 0, pinned: false };
+            const node = this.createNode(raw, superNode.x + offset.x, superNode.y + offset.y);
+            node.pinned = offset.pinned;
+            node.fixed = offset.pinned;
+            this.nodes.push(node);
+            this.nodeIndex.set(node.id, node);
+            this.data.nodes.push(raw);
+            restored.push(node);
+        });
+
+        // Outside neighbours removed while the group was folded take their
+        // links with them; those folded into another group stay with it
+        const hiddenIn = this.hiddenMembers();
+        this.addEdgeRecords(group.rawRelationships.filter(rel =>
+            [rel.sourceEntityId, rel.targetEntityId].every(id => this.nodeIndex.has(id) || hiddenIn.has(id))));
+        restored.forEach(node => this.renderNode(node));
+        this.renderMissingEdges();
+        this.updatePositions();
+        this.updateLegend();
+        this.refreshFilter();
+        this.restartIfRunning();
+        return restored.length;
+    }
+
+    expandAllGroups() {
+        let restored = 0;
+        Array.from(this.groups.keys()).forEach(groupId => { restored += this.expandGroup(groupId); });
+        return restored;
+    }
+
+    describeGroup(group) {
+        return {
+            groupId: group.groupId,
+            nodeId: group.nodeId,
+            attribute: group.attribute,
+            value: group.value,
+            memberIds: group.memberIds.slice()
+        };
+    }
+
+    // Plain definitions that applyGroupDefinitions can turn back into the same view
+    getGroupDefinitions() {
+        return Array.from(this.groups.values()).map(group => this.describeGroup(group));
+    }
+
+    applyGroupDefinitions(definitions) {
+        const created = [];
+        (definitions || []).forEach(definition => {
+            if (!definition || !definition.groupId || !Array.isArray(definition.memberIds)) return;
+            const group = this.createGroup({
+                groupId: definition.groupId,
+                nodeId: definition.nodeId ?? null,
+                attribute: definition.attribute || 'type',
+                value: definition.value ?? definition.groupId,
+                memberIds: definition.memberIds
+            });
+            if (group) created.push(group);
+        });
+        if (created.length > 0) this.restartIfRunning();
+        return created;
+    }
+
+    // keepExpansions is for nodes that are only hidden (grouped) and will come back
+    removeNodes(nodeIds, { keepExpansions = false } = {}) {
+        const ids = new Set(nodeIds || []);
+        const removed = this.nodes.filter(node => ids.has(node.id));
+        if (removed.length === 0) return 0;
+
+        // A removed super-node takes its hidden members with it
+        ids.forEach(id => this.groups.delete(id));
+
+        // Forget removed nodes in expansion records, and expansions they were the parent of
+        if (!keepExpansions) {
+            this.expansions.forEach((expansion, parentId) => {
+                if (ids.has(parentId)) {
+                    this.expansions.delete(parentId);
+                } else {
+                    expansion.nodeIds = expansion.nodeIds.filter(id => !ids.has(id));
+                }
+            });
+        }
+
+        this.removeEdges(this.edges
+            .filter(edge => ids.has(edge.source) || ids.has(edge.target))
+            .map(edge => edge.id));
+
+        removed.forEach(node => {
+            const g = this.nodeElements.get(node.id);
+            if (g) g.remove();
+            this.nodeElements.delete(node.id);
+            this.nodeIndex.delete(node.id);
+        });
+        this.nodes = this.nodes.filter(node => !ids.has(node.id));
+        this.data.nodes = (this.data.nodes || []).filter(raw => !ids.has(raw.id));
+
+        if (removed.some(node => this.selectedNodes.has(node.id))) {
+            this.setSelection(this.getSelection().filter(id => !ids.has(id)));
+        }
+        if (this.communities) {
+            this.communities.forEach(community => {
+                community.nodeIds = community.nodeIds.filter(id => !ids.has(id));
+                community.size = community.nodeIds.length;
+            });
+            this.updateHulls();
+        }
+        this.updateMinimap();
+        this.updateLegend();
+        this.refreshFilter();
+
+        this.restartIfRunning();
+        return removed.length;
+    }
+
+    removeEdges(edgeIds) {
+        const ids = new Set(edgeIds || []);
+        const before = this.edges.length;
+        this.edges = this.edges.filter(edge => !ids.has(edge.id));
+        if (this.edges.length === before) return 0;
+
+        ids.forEach(id => {
+            const elements = this.edgeElements.get(id);
+            if (elements) elements.g.remove();
+            this.edgeElements.delete(id);
+        });
+        this.data.relationships = (this.data.relationships || []).filter(rel => !ids.has(rel.id));
+        // Remaining parallel edges close up
+        this.updateEdges();
+        this.refreshFilter();
+
+        this.restartIfRunning();
+        return before - this.edges.length;
+    }
+
+    // The running simulation indexes nodes and links by position, so start it afresh
+    restartIfRunning() {
+        if (this.simulationRunning) {
+            this.startSimulation();
+        }
+    }
+
+    highlightNode(nodeId) {
+        const node = this.nodeIndex.get(nodeId);
+        if (node) {
+            this.selectedNode = node;
+            this.requestDraw();
+            this.nodesGroup.querySelectorAll('.node-group').forEach(g => {
+                const isSelected = g.dataset.nodeId === nodeId;
+                const circle = g.querySelector('.node-circle');
+                if (circle) {
+                    circle.setAttribute('filter', isSelected ? `url(#glow-${this.container.id})` : `url(#shadow-${this.container.id})`);
+                }
+            });
+        }
+    }
+
+    focusOnNode(nodeId) {
+        const node = this.nodeIndex.get(nodeId);
+        if (node) {
+            this.viewBox.x = node.x - this.viewBox.width / 2;
+            this.viewBox.y = node.y - this.viewBox.height / 2;
+            this.updateViewBox();
+            this.highlightNode(nodeId);
+        }
+    }
+
+    // Entries shown in the on-screen legend and in exported images: the entity
+    // types on the graph, configured types first in style-map order
+    legendEntries() {
+        const present = new Set(this.nodes.map(node => node.type).filter(Boolean));
+        const configured = Object.keys(this.styles.types).filter(type => present.has(type));
+        const others = Array.from(present).filter(type => !this.styles.types[type]).sort();
+
+        return configured.concat(others).map(type => {
+            const style = this.styles.node(type);
+            return { type, label: style.label || type, color: style.color, icon: style.icon, shape: style.shape };
+        });
+    }
+
+    // Rebuild the legend after entity types come or go
+    updateLegend() {
+        if (!this.legend) return;
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 12px; flex-wrap: wrap;';
+        this.legendEntries().forEach(entry => {
+            const item = document.createElement('span');
+            const symbol = document.createElement('span');
+            symbol.style.color = entry.color;
+            symbol.textContent = SHAPE_SYMBOLS[entry.shape] || SHAPE_SYMBOLS.circle;
+            item.appendChild(symbol);
+            item.appendChild(document.createTextNode(` ${entry.icon} ${entry.label}`));
+            row.appendChild(item);
+        });
+
+        // Key for snapshot diffs
+        if (this.nodes.some(node => node.diffStatus)) {
+            [['New', DIFF_COLORS.added], ['Removed', DIFF_COLORS.removed]].forEach(([label, color]) => {
+                const item = document.createElement('span');
+                item.style.cssText = `border-bottom: 2px solid ${color};`;
+                item.textContent = label;
+                row.appendChild(item);
+            });
+        }
+
+        this.legend.replaceChildren(row);
+        this.legend.style.display = row.childElementCount > 0 ? '' : 'none';
+    }
+
+    getNodeColor(type) {
+        return this.styles.node(type).color;
+    }
+
+    getEntityEmoji(type) {
+        return this.styles.node(type).icon;
+    }
+
+    getNodeShape(type) {
+        return this.styles.node(type).shape;
+    }
+
+    getRiskColor(score) {
+        if (score >= 80) return '#ef4444';
+        if (score >= 60) return '#f59e0b';
+        if (score >= 40) return '#3b82f6';
+        return '#22c55e';
+    }
+
+    getRiskBadgeColor(score) {
+        if (score >= 80) return '#dc2626';
+        if (score >= 60) return '#d97706';
+        if (score >= 40) return '#2563eb';
+        return '#16a34a';
     }
 
     getEdgeColor(strength) {
-        const colors = {
-            'Strong': '#475569',
-            'Medium': '#94a3b8',
-            'Weak': '#cbd5e1'
-        };
-        return colors[strength] || '#94a3b8';
+        return this.styles.edge(strength).color;
     }
 
     getEdgeWidth(strength) {
-        const widths = { 'Strong': 3, 'Medium': 2, 'Weak': 1 };
-        return widths[strength] || 2;
+        return this.styles.edge(strength).width;
+    }
+
+    // Dash pattern as an array of lengths, or null for a solid line
+    getEdgeDash(strength) {
+        return this.styles.edge(strength).dash;
     }
 
     truncateName(name, maxLength) {
@@ -666,17 +2456,30 @@ class NetworkGraph {
 
     // Add badges to nodes
     addBadgesToNode(nodeId, badges) {
+        const node = this.nodeIndex.get(nodeId);
+        if (!node) return false;
+
+        // Kept on the node for renderers that redraw from the model
+        node.badges = badges;
+        if (this.renderer) {
+            this.requestDraw();
+            return true;
+        }
+
         const nodeGroup = this.nodesGroup.querySelector(`[data-node-id="${nodeId}"]`);
         if (!nodeGroup) return false;
 
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (!node) return false;
+        this.drawBadges(nodeGroup, node);
+        return true;
+    }
 
+    // Replace the badge row drawn on a node's element with node.badges
+    drawBadges(nodeGroup, node) {
         // Remove existing badges
         nodeGroup.querySelectorAll('.node-badge-group').forEach(b => b.remove());
 
         // Add new badges
-        badges.forEach((badge, index) => {
+        (node.badges || []).forEach((badge, index) => {
             const badgeG = document.createElementNS('http://www.w3.org/2000/svg', 'g');
             badgeG.setAttribute('class', 'node-badge-group');
             
@@ -710,33 +2513,228 @@ class NetworkGraph {
             badgeG.appendChild(badgeIcon);
             nodeGroup.appendChild(badgeG);
         });
+    }
+
+    // Compute a centrality metric live and optionally resize or badge nodes by it
+    computeCentrality(metric, options = {}) {
+        const ranked = rankScores(centralityScores(this.nodes, this.edges, metric, options));
+        this.clearCentrality();
+        this.centrality = { metric, ranked };
+
+        if (options.display === 'size') {
+            const minRadius = options.minRadius || 16;
+            const maxRadius = options.maxRadius || 40;
+            const maxScore = ranked.length > 0 ? ranked[0].score : 0;
+            ranked.forEach(entry => {
+                const node = this.nodeIndex.get(entry.id);
+                node.baseRadius = node.radius;
+                const t = maxScore > 0 ? entry.score / maxScore : 0;
+                node.radius = minRadius + (maxRadius - minRadius) * Math.sqrt(t);
+            });
+            this.renderNodes();
+            // Edge ends and arrowheads are trimmed to the node radii
+            this.updateEdges();
+        } else if (options.display === 'badge') {
+            const top = options.top || 10;
+            ranked.filter(entry => entry.rank <= top).forEach(entry => {
+                // Added alongside any badges .NET has put on the node
+                const others = this.nodeIndex.get(entry.id).badges || [];
+                this.addBadgesToNode(entry.id, others.concat([{
+                    type: 'centrality',
+                    icon: String(entry.rank),
+                    color: options.badgeColor || '#7c3aed',
+                    tooltip: `#${entry.rank} by ${metric} (${entry.score.toFixed(3)})`
+                }]));
+            });
+        }
+
+        return ranked;
+    }
+
+    clearCentrality() {
+        if (!this.centrality) return false;
+
+        // Only rank badges are ours; badges added through addBadgesToNode stay
+        let resized = false;
+        const rebadged = [];
+        this.nodes.forEach(node => {
+            if (node.badges && node.badges.some(badge => badge.type === 'centrality')) {
+                node.badges = node.badges.filter(badge => badge.type !== 'centrality');
+                rebadged.push(node);
+            }
+            if (node.baseRadius !== undefined) {
+                node.radius = node.baseRadius;
+                delete node.baseRadius;
+                resized = true;
+            }
+        });
+
+        if (resized) {
+            this.renderNodes();
+            this.updateEdges();
+        } else {
+            rebadged.forEach(node => this.addBadgesToNode(node.id, node.badges));
+        }
+
+        this.centrality = null;
+        return true;
+    }
+
+    // Detect communities, colour nodes by cluster and draw a hull around each
+    detectCommunities(options = {}) {
+        const communities = findCommunities(this.nodes, this.edges, {
+            algorithm: options.algorithm,
+            resolution: options.resolution,
+            seed: options.seed ?? this.config.layoutSeed
+        });
+
+        this.communities = communities.map(community => ({
+            ...community,
+            size: community.nodeIds.length,
+            color: COMMUNITY_COLORS[community.communityId % COMMUNITY_COLORS.length]
+        }));
+        this.minHullSize = options.minHullSize || 2;
+
+        this.nodes.forEach(node => { delete node.community; });
+        this.communities.forEach(community => {
+            community.nodeIds.forEach(id => { this.nodeIndex.get(id).community = community.communityId; });
+        });
+
+        this.refreshNodeFills();
+        this.updateHulls();
+
+        const result = {
+            algorithm: options.algorithm === 'labelPropagation' ? 'labelPropagation' : 'louvain',
+            modularity: modularity(this.nodes, this.edges, communities),
+            communities: this.communities
+        };
+
+        if (this.dotNetHelper) {
+            this.dotNetHelper.invokeMethodAsync('OnCommunitiesDetected', result);
+        }
+        return result;
+    }
 
+    clearCommunities() {
+        if (!this.communities) return false;
+
+        this.communities = null;
+        this.nodes.forEach(node => { delete node.community; });
+        this.refreshNodeFills();
+        this.updateHulls();
         return true;
     }
 
+    getNodeFill(node) {
+        if (this.communities && node.community !== undefined) {
+            return this.communities[node.community].color;
+        }
+        return this.getNodeColor(node.type);
+    }
+
+    refreshNodeFills() {
+        this.nodeElements.forEach((g, nodeId) => {
+            const circle = g.querySelector('.node-circle');
+            if (circle) circle.setAttribute('fill', this.getNodeFill(this.nodeIndex.get(nodeId)));
+        });
+        this.updateMinimap();
+        this.requestDraw();
+    }
+
+    updateHulls() {
+        if (!this.hullsGroup) return;
+        this.hullsGroup.innerHTML = '';
+        if (!this.communities) return;
+
+        this.communities.forEach(community => {
+            if (community.size < this.minHullSize) return;
+
+            // Sample points around each member so the hull clears the node circles
+            const points = [];
+            community.nodeIds.forEach(id => {
+                const node = this.nodeIndex.get(id);
+                if (!node) return;
+                const padding = node.radius + 14;
+                for (let k = 0; k < 8; k++) {
+                    const angle = (k / 8) * 2 * Math.PI;
+                    points.push([node.x + Math.cos(angle) * padding, node.y + Math.sin(angle) * padding]);
+                }
+            });
+
+            const hull = convexHull(points);
+            if (hull.length < 3) return;
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('class', 'community-hull');
+            path.setAttribute('d', 'M' + hull.map(p => `${p[0]},${p[1]}`).join('L') + 'Z');
+            path.setAttribute('fill', community.color);
+            path.setAttribute('fill-opacity', '0.1');
+            path.setAttribute('stroke', community.color);
+            path.setAttribute('stroke-opacity', '0.35');
+            path.setAttribute('stroke-width', '2');
+            path.setAttribute('stroke-linejoin', 'round');
+            path.setAttribute('pointer-events', 'none');
+            path.dataset.communityId = community.communityId;
+            this.hullsGroup.appendChild(path);
+        });
+    }
+
     // Highlight path between nodes with animation
     highlightPath(sourceNodeId, targetNodeId) {
         // Find shortest path using BFS
         const path = this.findShortestPath(sourceNodeId, targetNodeId);
+        return this.highlightNodePath(path);
+    }
+
+    // Find weighted paths (cheapest first) and highlight one of them
+    findPaths(sourceNodeId, targetNodeId, options = {}) {
+        const adjacency = buildAdjacency(this.nodes, this.edges, {
+            strengthWeights: options.strengthWeights,
+            excludeTypes: options.excludeTypes,
+            keepNodeIds: [sourceNodeId, targetNodeId]
+        });
+
+        this.foundPaths = kShortestPaths(adjacency, sourceNodeId, targetNodeId, options.k || 1, {
+            maxHops: options.maxHops
+        });
+
+        if (this.foundPaths.length > 0 && options.highlight !== false) {
+            this.highlightFoundPath(options.highlightIndex || 0);
+        }
+        return this.foundPaths;
+    }
+
+    // Highlight one of the paths returned by the last findPaths call
+    highlightFoundPath(index) {
+        const path = this.foundPaths[index];
+        if (!path) return false;
+        return this.highlightNodePath(path.nodeIds, path.edgeIds);
+    }
+
+    highlightNodePath(path, edgeIds = null) {
         if (!path || path.length < 2) return false;
 
         // Clear previous path highlights
         this.clearPathHighlight();
+        const highlightedEdges = new Set();
 
         // Highlight edges in the path
         for (let i = 0; i < path.length - 1; i++) {
             const sourceId = path[i];
             const targetId = path[i + 1];
             
-            const edge = this.edges.find(e => 
-                (e.source === sourceId && e.target === targetId) ||
-                (e.source === targetId && e.target === sourceId)
-            );
+            const edge = edgeIds
+                ? this.edges.find(e => e.id === edgeIds[i])
+                : this.edges.find(e => 
+                    (e.source === sourceId && e.target === targetId) ||
+                    (e.source === targetId && e.target === sourceId)
+                );
 
             if (edge) {
+                highlightedEdges.add(edge.id);
                 const edgeGroup = this.edgesGroup.querySelector(`[data-edge-id="${edge.id}"]`);
                 if (edgeGroup) {
-                    const line = edgeGroup.querySelector('line');
+                    const line = edgeGroup.querySelector('.edge-line');
                     line.setAttribute('class', 'edge-line path-highlight');
                     line.setAttribute('stroke', '#3b82f6');
                     line.setAttribute('stroke-width', '4');
@@ -757,18 +2755,24 @@ class NetworkGraph {
         path.forEach(nodeId => {
             const nodeGroup = this.nodesGroup.querySelector(`[data-node-id="${nodeId}"]`);
             if (nodeGroup) {
-                const circle = nodeGroup.querySelector('circle');
+                const circle = nodeGroup.querySelector('.node-circle');
+                circle.classList.add('path-node');
                 circle.setAttribute('stroke', '#3b82f6');
                 circle.setAttribute('stroke-width', '4');
                 circle.setAttribute('filter', `url(#glow-${this.container.id})`);
             }
         });
 
+        this.pathHighlight = { nodeIds: new Set(path), edgeIds: highlightedEdges };
+        this.requestDraw();
         return true;
     }
 
     // Clear path highlighting
     clearPathHighlight() {
+        this.pathHighlight = null;
+        this.requestDraw();
+
         // Clear edge highlights
         this.edgesGroup.querySelectorAll('.path-highlight').forEach(line => {
             line.classList.remove('path-highlight');
@@ -780,64 +2784,578 @@ class NetworkGraph {
         // Clear node highlights
         this.nodesGroup.querySelectorAll('.node-group').forEach(nodeGroup => {
             const nodeId = nodeGroup.dataset.nodeId;
-            const node = this.nodes.find(n => n.id === nodeId);
+            const node = this.nodeIndex.get(nodeId);
             if (node) {
-                const circle = nodeGroup.querySelector('circle');
+                const circle = nodeGroup.querySelector('.node-circle');
                 circle.setAttribute('stroke', node.isCenter ? '#1e40af' : '#fff');
                 circle.setAttribute('stroke-width', node.isCenter ? 4 : 2);
                 circle.removeAttribute('filter');
+                circle.classList.remove('path-node');
+            }
+        });
+
+        return true;
+    }
+
+    // Find shortest path using BFS
+    findShortestPath(startId, endId) {
+        if (startId === endId) return [startId];
+
+        const queue = [[startId]];
+        const visited = new Set([startId]);
+
+        while (queue.length > 0) {
+            const path = queue.shift();
+            const current = path[path.length - 1];
+
+            // Get neighbors
+            const neighbors = this.edges
+                .filter(e => e.source === current || e.target === current)
+                .map(e => e.source === current ? e.target : e.source);
+
+            for (const neighbor of neighbors) {
+                if (neighbor === endId) {
+                    return [...path, neighbor];
+                }
+
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    queue.push([...path, neighbor]);
+                }
             }
+        }
+
+        return null; // No path found
+    }
+
+    // Show context menu at position
+    showContextMenu(x, y, nodeId = null, edgeId = null) {
+        if (this.dotNetHelper) {
+            this.dotNetHelper.invokeMethodAsync('OnContextMenu', x, y, nodeId, edgeId);
+        }
+    }
+
+    /**
+     * Dim every node and relationship not matching the criteria, or hide
+     * them with { mode: 'hide' }. Criteria: types, riskScore { min, max },
+     * name (substring, or fuzzy with fuzzy: true) and relationshipTypes;
+     * see matchCriteria. Matches are visited highest risk first by
+     * focusNextMatch. Returns { count, nodeIds }.
+     */
+    filterNodes(criteria = {}) {
+        return this.applyFilter(criteria || {}, criteria && criteria.mode);
+    }
+
+    /**
+     * Fuzzy search on entity names and ids. Non-matches are dimmed (or hidden
+     * with { mode: 'hide' }) and the best match is brought into focus.
+     * Empty text clears the search. Returns { count, nodeIds }, best first.
+     */
+    searchNodes(text, options = {}) {
+        if (!text || !String(text).trim()) {
+            this.clearFilter();
+            return { count: 0, nodeIds: [] };
+        }
+
+        const result = this.applyFilter({ search: String(text) }, options.mode);
+        if (result.count > 0) this.focusNextMatch();
+        return result;
+    }
+
+    // Matching nodes, in the order focusNextMatch visits them, and relationships
+    findMatches(query) {
+        if (query.search !== undefined) {
+            const order = rankSearchResults(this.nodes, query.search).map(result => result.id);
+            const nodeIds = new Set(order);
+            const edgeIds = new Set(this.edges
+                .filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+                .map(edge => edge.id));
+            return { nodeIds, edgeIds, order };
+        }
+
+        const { nodeIds, edgeIds } = matchCriteria(this.nodes, this.edges, query);
+        const order = this.nodes
+            .filter(node => nodeIds.has(node.id))
+            .sort((a, b) => b.riskScore - a.riskScore)
+            .map(node => node.id);
+        return { nodeIds, edgeIds, order };
+    }
+
+    applyFilter(query, mode, keepFocus = false) {
+        const focused = keepFocus && this.filter ? this.filter.order[this.filter.index] : undefined;
+        const matches = this.findMatches(query);
+        this.filter = {
+            query,
+            mode: mode === 'hide' ? 'hide' : 'dim',
+            ...matches,
+            index: focused === undefined ? -1 : matches.order.indexOf(focused)
+        };
+
+        this.nodeElements.forEach((g, nodeId) => this.applyFilterState(g, matches.nodeIds.has(nodeId)));
+        this.edgeElements.forEach((elements, edgeId) => this.applyFilterState(elements.g, matches.edgeIds.has(edgeId)));
+        this.requestDraw();
+        return { count: matches.order.length, nodeIds: matches.order.slice() };
+    }
+
+    // Re-run the active filter after nodes or relationships change
+    refreshFilter() {
+        if (this.filter) this.applyFilter(this.filter.query, this.filter.mode, true);
+    }
+
+    applyFilterState(element, matched) {
+        const hide = this.filter && this.filter.mode === 'hide';
+        element.classList.toggle('filter-faded', !matched && !hide);
+        element.classList.toggle('filter-hidden', !matched && hide);
+    }
+
+    clearFilter() {
+        if (!this.filter) return false;
+
+        this.filter = null;
+        this.nodeElements.forEach(g => this.applyFilterState(g, true));
+        this.edgeElements.forEach(elements => this.applyFilterState(elements.g, true));
+        this.requestDraw();
+        return true;
+    }
+
+    /**
+     * Centre the next match of the active search or filter (the previous one
+     * with step -1), wrapping around at either end.
+     * Returns { nodeId, index, count } or null when nothing matches.
+     */
+    focusNextMatch(step = 1) {
+        if (!this.filter || this.filter.order.length === 0) return null;
+
+        const count = this.filter.order.length;
+        const index = this.filter.index < 0
+            ? (step < 0 ? count - 1 : 0)
+            : (((this.filter.index + step) % count) + count) % count;
+        this.filter.index = index;
+
+        const nodeId = this.filter.order[index];
+        const node = this.nodeIndex.get(nodeId);
+        const view = this.viewTarget();
+        this.setViewport({ x: node.x - view.width / 2, y: node.y - view.height / 2, width: view.width }, true);
+        this.highlightNode(nodeId);
+        this.setKeyboardFocus(nodeId);
+        announce(this.liveRegion, `Match ${index + 1} of ${count}. ${this.describeNode(node)}`);
+
+        return { nodeId, index, count };
+    }
+
+    // An element with no dates is always valid; open-ended dates extend forever
+    isInWindow(item) {
+        if (!this.timeWindow) return true;
+        const { from, to } = this.timeWindow;
+        return (item.validFrom === null || item.validFrom <= to) &&
+            (item.validTo === null || item.validTo >= from);
+    }
+
+    // A relationship only shows while both of its entities do
+    isEdgeInWindow(edge) {
+        const source = this.nodeIndex.get(edge.source);
+        const target = this.nodeIndex.get(edge.target);
+        return this.isInWindow(edge) &&
+            (!source || this.isInWindow(source)) &&
+            (!target || this.isInWindow(target));
+    }
+
+    // Combined effect of the time window and any filter: 'shown', 'faded' or 'hidden'
+    visibilityState(inWindow, matched) {
+        if ((!inWindow && this.timeWindow.mode === 'hide') || (!matched && this.filter.mode === 'hide')) {
+            return 'hidden';
+        }
+        return inWindow && matched ? 'shown' : 'faded';
+    }
+
+    nodeVisibility(node) {
+        return this.visibilityState(this.isInWindow(node), !this.filter || this.filter.nodeIds.has(node.id));
+    }
+
+    edgeVisibility(edge) {
+        return this.visibilityState(this.isEdgeInWindow(edge), !this.filter || this.filter.edgeIds.has(edge.id));
+    }
+
+    applyTimeState(element, active) {
+        const hide = this.timeWindow && this.timeWindow.mode === 'hide';
+        element.classList.toggle('time-faded', !active && !hide);
+        element.classList.toggle('time-hidden', !active && hide);
+    }
+
+    /**
+     * Show the network between two dates. Elements outside the window are
+     * faded, or removed from view with { mode: 'hide' }. Passing null for
+     * both dates clears the window. A date that can't be read returns false
+     * and leaves the current window as it was.
+     */
+    setTimeWindow(from, to, options = {}) {
+        if (isBlankTime(from) && isBlankTime(to)) {
+            this.clearTimeWindow();
+            return { nodeCount: this.nodes.length, edgeCount: this.edges.length };
+        }
+
+        const start = parseTime(from);
+        const end = parseTime(to);
+        if ((start === null && !isBlankTime(from)) || (end === null && !isBlankTime(to))) return false;
+
+        this.timeWindow = {
+            from: start ?? -Infinity,
+            to: end ?? Infinity,
+            mode: options.mode === 'hide' ? 'hide' : 'fade'
+        };
+        return this.applyTimeWindow();
+    }
+
+    // Fade or hide elements for the current window; returns how many are in it
+    applyTimeWindow() {
+        let nodeCount = 0;
+        let edgeCount = 0;
+        this.nodes.forEach(node => {
+            const active = this.isInWindow(node);
+            if (active) nodeCount++;
+            const g = this.nodeElements.get(node.id);
+            if (g) this.applyTimeState(g, active);
+        });
+        this.edges.forEach(edge => {
+            const active = this.isEdgeInWindow(edge);
+            if (active) edgeCount++;
+            const elements = this.edgeElements.get(edge.id);
+            if (elements) this.applyTimeState(elements.g, active);
+        });
+
+        this.requestDraw();
+        return { nodeCount, edgeCount };
+    }
+
+    setAsOfDate(date, options = {}) {
+        return this.setTimeWindow(date, date, options);
+    }
+
+    // Re-apply the current window after elements or their dates change
+    refreshTimeWindow() {
+        if (this.timeWindow) this.applyTimeWindow();
+    }
+
+    clearTimeWindow() {
+        this.timeWindow = null;
+        this.nodeElements.forEach(g => this.applyTimeState(g, true));
+        this.edgeElements.forEach(elements => this.applyTimeState(elements.g, true));
+        this.requestDraw();
+    }
+
+    // Earliest and latest dates found on any node or relationship
+    getTimeRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        [...this.nodes, ...this.edges].forEach(item => {
+            [item.validFrom, item.validTo].forEach(time => {
+                if (time === null) return;
+                min = Math.min(min, time);
+                max = Math.max(max, time);
+            });
         });
+        if (min === Infinity) return null;
+        return { from: new Date(min).toISOString(), to: new Date(max).toISOString() };
+    }
+
+    /**
+     * Step the as-of date through time. Options: from, to (default: the data's
+     * time range), steps (default 50), interval in ms (default 500), windowSize
+     * in ms to show a sliding window instead of a single date, mode and loop.
+     * Each step is reported to .NET through OnTimelineStep.
+     */
+    playTimeline(options = {}) {
+        this.stopTimeline();
+
+        const range = this.getTimeRange();
+        const from = parseTime(options.from) ?? (range ? Date.parse(range.from) : null);
+        const to = parseTime(options.to) ?? (range ? Date.parse(range.to) : null);
+        if (from === null || to === null) return false;
+
+        const steps = Math.max(1, options.steps || 50);
+        const interval = options.interval || 500;
+        const stepSize = (to - from) / steps;
+        let index = 0;
+
+        const advance = () => {
+            const time = from + stepSize * index;
+            const start = options.windowSize ? time - options.windowSize : time;
+            const counts = this.setTimeWindow(start, time, { mode: options.mode });
+
+            if (this.dotNetHelper) {
+                this.dotNetHelper.invokeMethodAsync('OnTimelineStep', new Date(time).toISOString(), counts.nodeCount, counts.edgeCount);
+            }
+
+            index++;
+            if (index > steps) {
+                if (!options.loop) {
+                    this.timelineTimer = null;
+                    return;
+                }
+                index = 0;
+            }
+            this.timelineTimer = setTimeout(advance, interval);
+        };
+
+        advance();
+        return true;
+    }
+
+    stopTimeline() {
+        if (this.timelineTimer) {
+            clearTimeout(this.timelineTimer);
+            this.timelineTimer = null;
+        }
+    }
+
+    /**
+     * Export the graph as a standalone SVG or a PNG. Options: scale (PNG only),
+     * area ('graph' for everything, 'view' for the visible part), padding,
+     * background, title, caption, includeLegend, filename and download.
+     * Resolves to true after a download, otherwise to a data URL.
+     */
+    async exportImage(format = 'png', options = {}) {
+        const type = (format || 'png').toLowerCase();
+        if (type !== 'png' && type !== 'svg') {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
 
+        const svg = this.renderer
+            ? this.withSvgElements(() => this.buildExportSvg(options))
+            : this.buildExportSvg(options);
+        const markup = new XMLSerializer().serializeToString(svg);
+        let dataUrl;
+
+        if (type === 'svg') {
+            dataUrl = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent('<?xml version="1.0" encoding="UTF-8"?>\n' + markup);
+        } else {
+            const width = Number(svg.getAttribute('width'));
+            const height = Number(svg.getAttribute('height'));
+            dataUrl = await this.rasterise(markup, width, height, options.scale || 2);
+        }
+
+        if (options.download === false) return dataUrl;
+
+        const link = document.createElement('a');
+        link.href = dataUrl;
+        link.download = `${options.filename || 'network-graph'}.${type}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
         return true;
     }
 
-    // Find shortest path using BFS
-    findShortestPath(startId, endId) {
-        if (startId === endId) return [startId];
-
-        const queue = [[startId]];
-        const visited = new Set([startId]);
+    // Build the SVG elements for a moment, e.g. for export, while another renderer is active
+    withSvgElements(callback) {
+        const renderer = this.renderer;
+        this.renderer = null;
+        try {
+            this.render();
+            this.updatePositions();
+            return callback();
+        } finally {
+            this.renderer = renderer;
+            this.render();
+        }
+    }
 
-        while (queue.length > 0) {
-            const path = queue.shift();
-            const current = path[path.length - 1];
+    buildExportSvg(options = {}) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const padding = options.padding ?? 40;
+        const includeLegend = options.includeLegend !== false;
+
+        // Area of the graph to draw, in graph units
+        let area;
+        if (options.area === 'view' || this.nodes.length === 0) {
+            area = { ...this.viewBox };
+        } else {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            this.nodes.forEach(node => {
+                // Self-loops and name labels reach beyond the circle
+                minX = Math.min(minX, node.x - node.radius - 50);
+                minY = Math.min(minY, node.y - node.radius - 50);
+                maxX = Math.max(maxX, node.x + node.radius + 50);
+                maxY = Math.max(maxY, node.y + node.radius + 24);
+            });
+            area = { x: minX - padding, y: minY - padding, width: maxX - minX + padding * 2, height: maxY - minY + padding * 2 };
+        }
 
-            // Get neighbors
-            const neighbors = this.edges
-                .filter(e => e.source === current || e.target === current)
-                .map(e => e.source === current ? e.target : e.source);
+        const titleHeight = options.title ? 40 : 0;
+        const captionHeight = options.caption ? 28 : 0;
+        const legendHeight = includeLegend ? 32 : 0;
+        const width = Math.ceil(area.width);
+        const height = Math.ceil(area.height + titleHeight + legendHeight + captionHeight);
+        const fontFamily = getComputedStyle(this.svg).fontFamily || 'sans-serif';
+
+        const root = document.createElementNS(ns, 'svg');
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        root.setAttribute('font-family', fontFamily);
+
+        // Page styles do not travel with the file
+        const style = document.createElementNS(ns, 'style');
+        style.textContent = `
+            .node-group.selected .node-circle { stroke: #7c3aed; stroke-width: 5px; }
+            ${DIFF_STYLES}
+            .time-faded { opacity: 0.12; }
+            .time-hidden { display: none; }
+            .filter-faded { opacity: 0.15; }
+            .filter-hidden { display: none; }
+            text { font-family: ${fontFamily}; }
+        `;
+        root.appendChild(style);
+
+        const background = document.createElementNS(ns, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', options.background || '#ffffff');
+        root.appendChild(background);
+
+        if (options.title) {
+            const title = document.createElementNS(ns, 'text');
+            title.setAttribute('x', 16);
+            title.setAttribute('y', 26);
+            title.setAttribute('font-size', '18');
+            title.setAttribute('font-weight', '600');
+            title.setAttribute('fill', '#1e293b');
+            title.textContent = options.title;
+            root.appendChild(title);
+        }
 
-            for (const neighbor of neighbors) {
-                if (neighbor === endId) {
-                    return [...path, neighbor];
+        // The live drawing, defs (markers and filters) included, scaled into its slot
+        const graph = document.createElementNS(ns, 'svg');
+        graph.setAttribute('x', 0);
+        graph.setAttribute('y', titleHeight);
+        graph.setAttribute('width', width);
+        graph.setAttribute('height', Math.ceil(area.height));
+        graph.setAttribute('viewBox', `${area.x} ${area.y} ${area.width} ${area.height}`);
+        Array.from(this.svg.childNodes).forEach(child => {
+            const copy = child.cloneNode(true);
+            if (copy.classList && copy.classList.contains('selection-marquee')) return;
+            graph.appendChild(copy);
+        });
+        graph.querySelectorAll('animate').forEach(animation => animation.remove());
+        root.appendChild(graph);
+
+        if (includeLegend) {
+            const legend = document.createElementNS(ns, 'g');
+            legend.setAttribute('transform', `translate(16, ${titleHeight + area.height + 20})`);
+            legend.setAttribute('font-size', '12');
+            let x = 0;
+            this.legendEntries().forEach(entry => {
+                const points = shapePoints(entry.shape, 5);
+                const dot = document.createElementNS(ns, points ? 'polygon' : 'circle');
+                if (points) {
+                    dot.setAttribute('points', points.map(([px, py]) => `${x + 5 + px},${py - 4}`).join(' '));
+                } else {
+                    dot.setAttribute('cx', x + 5);
+                    dot.setAttribute('cy', -4);
+                    dot.setAttribute('r', 5);
                 }
+                dot.setAttribute('fill', entry.color);
+                const label = document.createElementNS(ns, 'text');
+                label.setAttribute('x', x + 14);
+                label.setAttribute('fill', '#334155');
+                label.textContent = entry.label;
+                legend.appendChild(dot);
+                legend.appendChild(label);
+                x += 14 + entry.label.length * 7 + 16;
+            });
+            root.appendChild(legend);
+        }
 
-                if (!visited.has(neighbor)) {
-                    visited.add(neighbor);
-                    queue.push([...path, neighbor]);
-                }
-            }
+        if (options.caption) {
+            const caption = document.createElementNS(ns, 'text');
+            caption.setAttribute('x', 16);
+            caption.setAttribute('y', height - 10);
+            caption.setAttribute('font-size', '12');
+            caption.setAttribute('fill', '#64748b');
+            caption.textContent = options.caption;
+            root.appendChild(caption);
         }
 
-        return null; // No path found
+        return root;
     }
 
-    // Show context menu at position
-    showContextMenu(x, y, nodeId = null, edgeId = null) {
-        if (this.dotNetHelper) {
-            this.dotNetHelper.invokeMethodAsync('OnContextMenu', x, y, nodeId, edgeId);
-        }
+    rasterise(markup, width, height, scale) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to rasterise the graph'));
+            };
+            image.src = url;
+        });
     }
 
     destroy() {
-        this.simulationRunning = false;
+        this.destroyed = true;
+        clearTimeout(this.clickTimer);
+        if (this.layoutSaveTimer) this.saveLayout();
+        this.stopSimulation();
+        this.stopTimeline();
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+        if (this.layoutWorker) {
+            this.layoutWorker.terminate();
+            this.layoutWorker = null;
+        }
         this.container.innerHTML = '';
     }
 }
 
+function isBlankTime(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Dates arrive from .NET as ISO strings; keep them as epoch milliseconds
+function parseTime(value) {
+    if (isBlankTime(value)) return null;
+    const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+// Andrew's monotone chain; points are [x, y] pairs
+function convexHull(points) {
+    if (points.length < 3) return points.slice();
+
+    const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+    const lower = [];
+    sorted.forEach(p => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    });
+
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
 // Export functions for C# interop
-export function render(elementId, graphData, dotNetHelper) {
+export function render(elementId, graphData, dotNetHelper, options = {}) {
     const container = document.getElementById(elementId);
     if (!container) {
         console.error('Container not found:', elementId);
@@ -848,11 +3366,25 @@ export function render(elementId, graphData, dotNetHelper) {
         graphs.get(elementId).destroy();
     }
 
-    const graph = new NetworkGraph(container, graphData, dotNetHelper);
+    const graph = new NetworkGraph(container, graphData, dotNetHelper, options);
     graphs.set(elementId, graph);
     return true;
 }
 
+/**
+ * Lay out the union of two snapshots of a network: new nodes and
+ * relationships in green, removed ones ghosted in red and risk score changes
+ * annotated. Reuses the current graph's .NET helper when none is given.
+ * Returns the change summary from diffSnapshots, or null.
+ */
+export function renderDiff(elementId, before, after, dotNetHelper = null, options = {}) {
+    const current = graphs.get(elementId);
+    const helper = dotNetHelper || (current ? current.dotNetHelper : null);
+    const { data, summary } = diffSnapshots(before, after);
+    // Pins made while comparing must not land in the entity's saved layout
+    return render(elementId, data, helper, { ...options, persistLayout: false }) ? summary : null;
+}
+
 export function destroy(elementId) {
     if (graphs.has(elementId)) {
         graphs.get(elementId).destroy();
@@ -886,6 +3418,39 @@ export function zoomOut(elementId) {
     return false;
 }
 
+export function fitToView(elementId, padding = 40) {
+    if (graphs.has(elementId)) {
+        graphs.get(elementId).fitToView(padding);
+        return true;
+    }
+    return false;
+}
+
+// Visible area in graph units: { x, y, width, height, zoom }
+export function getViewport(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getViewport();
+    }
+    return null;
+}
+
+// Move the view to { x, y, width } (as returned by getViewport), optionally animated
+export function setViewport(elementId, viewport, animate = false) {
+    if (graphs.has(elementId)) {
+        graphs.get(elementId).setViewport(viewport, animate);
+        return true;
+    }
+    return false;
+}
+
+export function setMinimapVisible(elementId, visible) {
+    if (graphs.has(elementId)) {
+        graphs.get(elementId).setMinimapVisible(visible);
+        return true;
+    }
+    return false;
+}
+
 export function highlightNode(elementId, nodeId) {
     if (graphs.has(elementId)) {
         graphs.get(elementId).highlightNode(nodeId);
@@ -902,6 +3467,77 @@ export function focusOnNode(elementId, nodeId) {
     return false;
 }
 
+// Current node positions, suitable for passing back to setPositions or render options
+export function getPositions(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getPositions();
+    }
+    return null;
+}
+
+// Restore saved node positions; returns the number of nodes matched
+export function setPositions(elementId, positions) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).setPositions(positions);
+    }
+    return 0;
+}
+
+// Pin nodes in place (all nodes when nodeIds is omitted)
+export function pinNodes(elementId, nodeIds = null) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).pinNodes(nodeIds, true);
+    }
+    return 0;
+}
+
+// Release pinned nodes back to the simulation (all nodes when nodeIds is omitted)
+export function unpinNodes(elementId, nodeIds = null) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).pinNodes(nodeIds, false);
+    }
+    return 0;
+}
+
+// Add nodes next to their connected neighbours, settling only the new ones.
+// Relationships passed alongside are added in the same step.
+export function addNodes(elementId, nodes, relationships = []) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).addNodes(nodes, relationships);
+    }
+    return 0;
+}
+
+export function addEdges(elementId, relationships) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).addEdges(relationships);
+    }
+    return 0;
+}
+
+// Update a node's name, type or risk score in place
+export function updateNode(elementId, nodeData) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).updateNode(nodeData);
+    }
+    return false;
+}
+
+// Remove nodes together with their relationships
+export function removeNodes(elementId, nodeIds) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).removeNodes(nodeIds);
+    }
+    return 0;
+}
+
+export function removeEdges(elementId, edgeIds) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).removeEdges(edgeIds);
+    }
+    return 0;
+}
+
 export function getNodeCount(elementId) {
     if (graphs.has(elementId)) {
         return graphs.get(elementId).nodes.length;
@@ -916,6 +3552,22 @@ export function getEdgeCount(elementId) {
     return 0;
 }
 
+// Selected node ids
+export function getSelection(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getSelection();
+    }
+    return [];
+}
+
+// Replace the selection; unknown ids are ignored. Returns the selection size.
+export function setSelection(elementId, nodeIds) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).setSelection(nodeIds);
+    }
+    return 0;
+}
+
 // Add badges to a specific node
 export function addBadgesToNode(elementId, nodeId, badges) {
     if (graphs.has(elementId)) {
@@ -932,6 +3584,175 @@ export function highlightPath(elementId, sourceNodeId, targetNodeId) {
     return false;
 }
 
+// Find up to options.k paths weighted by relationship strength.
+// Options: k, maxHops, excludeTypes, strengthWeights, highlight, highlightIndex.
+// Returns [{ nodeIds, edgeIds, cost, hops }], cheapest first.
+export function findPaths(elementId, sourceNodeId, targetNodeId, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).findPaths(sourceNodeId, targetNodeId, options);
+    }
+    return [];
+}
+
+// Highlight a path from the last findPaths result by index
+export function highlightFoundPath(elementId, index) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).highlightFoundPath(index);
+    }
+    return false;
+}
+
+// Compute degree, betweenness, closeness, eigenvector or pagerank centrality.
+// Options: display ('size' | 'badge'), top, minRadius, maxRadius, badgeColor.
+// Returns [{ id, score, rank }], highest first.
+export function computeCentrality(elementId, metric, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).computeCentrality(metric, options);
+    }
+    return [];
+}
+
+// Remove centrality sizing or ranking badges
+export function clearCentrality(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).clearCentrality();
+    }
+    return false;
+}
+
+// Detect communities (options: algorithm 'louvain' | 'labelPropagation', resolution,
+// seed, minHullSize). Also reported to .NET through OnCommunitiesDetected.
+export function detectCommunities(elementId, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).detectCommunities(options);
+    }
+    return null;
+}
+
+// Restore type colours and remove community hulls
+export function clearCommunities(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).clearCommunities();
+    }
+    return false;
+}
+
+// Export as 'svg' or 'png'. Downloads by default; with { download: false } returns a data URL
+export async function exportImage(elementId, format = 'png', options = {}) {
+    if (graphs.has(elementId)) {
+        return await graphs.get(elementId).exportImage(format, options);
+    }
+    return null;
+}
+
+// Load a node's N-hop neighbourhood from .NET (OnExpandNode) and merge it in
+export async function expandNode(elementId, nodeId, hops = null) {
+    if (graphs.has(elementId)) {
+        const graph = graphs.get(elementId);
+        return await graph.expandNode(nodeId, hops || graph.config.expandHops);
+    }
+    return null;
+}
+
+// Remove the nodes added by expanding nodeId
+export function collapseNode(elementId, nodeId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).collapseNode(nodeId);
+    }
+    return 0;
+}
+
+// Expansion records: [{ nodeId, hops, nodeIds, edgeIds }]
+export function getExpansions(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getExpansions();
+    }
+    return [];
+}
+
+// Fold a node's neighbours into super-nodes by type or another attribute
+export function groupNeighbours(elementId, nodeId, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).groupNeighbours(nodeId, options);
+    }
+    return [];
+}
+
+export function expandGroup(elementId, groupId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).expandGroup(groupId);
+    }
+    return 0;
+}
+
+export function expandAllGroups(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).expandAllGroups();
+    }
+    return 0;
+}
+
+// [{ groupId, nodeId, attribute, value, memberIds }] for saving a view
+export function getGroupDefinitions(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getGroupDefinitions();
+    }
+    return [];
+}
+
+export function applyGroupDefinitions(elementId, definitions) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).applyGroupDefinitions(definitions);
+    }
+    return [];
+}
+
+// Show the network as it was on a date: { nodeCount, edgeCount } still valid
+export function setAsOfDate(elementId, date, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).setAsOfDate(date, options);
+    }
+    return null;
+}
+
+// Fade (or with { mode: 'hide' } hide) everything outside [from, to]
+export function setTimeWindow(elementId, from, to, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).setTimeWindow(from, to, options);
+    }
+    return null;
+}
+
+export function clearTimeWindow(elementId) {
+    if (graphs.has(elementId)) {
+        graphs.get(elementId).clearTimeWindow();
+        return true;
+    }
+    return false;
+}
+
+export function getTimeRange(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).getTimeRange();
+    }
+    return null;
+}
+
+export function playTimeline(elementId, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).playTimeline(options);
+    }
+    return false;
+}
+
+export function stopTimeline(elementId) {
+    if (graphs.has(elementId)) {
+        graphs.get(elementId).stopTimeline();
+        return true;
+    }
+    return false;
+}
+
 // Clear path highlighting
 export function clearPathHighlight(elementId) {
     if (graphs.has(elementId)) {
@@ -940,18 +3761,99 @@ export function clearPathHighlight(elementId) {
     return false;
 }
 
+// Dim or hide entities not matching the criteria: { count, nodeIds }
+export function filterNodes(elementId, criteria = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).filterNodes(criteria);
+    }
+    return null;
+}
+
+// Fuzzy search by name; the best match is focused: { count, nodeIds }
+export function searchNodes(elementId, text, options = {}) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).searchNodes(text, options);
+    }
+    return null;
+}
+
+export function clearFilter(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).clearFilter();
+    }
+    return false;
+}
+
+// Cycle through search or filter matches: { nodeId, index, count }
+export function focusNextMatch(elementId, step = 1) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).focusNextMatch(step);
+    }
+    return null;
+}
+
+// Forget the pinned positions saved for this graph's center entity
+export function clearSavedLayout(elementId) {
+    if (graphs.has(elementId)) {
+        return graphs.get(elementId).clearSavedLayout();
+    }
+    return false;
+}
+
 // Also expose on window for backward compatibility
 window.NetworkGraph = {
     render,
+    renderDiff,
     destroy,
     resetLayout,
     zoomIn,
     zoomOut,
+    fitToView,
+    getViewport,
+    setViewport,
+    setMinimapVisible,
     highlightNode,
     focusOnNode,
+    getPositions,
+    setPositions,
+    pinNodes,
+    unpinNodes,
     getNodeCount,
     getEdgeCount,
+    getSelection,
+    setSelection,
+    addNodes,
+    addEdges,
+    updateNode,
+    removeNodes,
+    removeEdges,
     addBadgesToNode,
     highlightPath,
-    clearPathHighlight
+    findPaths,
+    highlightFoundPath,
+    clearPathHighlight,
+    computeCentrality,
+    clearCentrality,
+    detectCommunities,
+    clearCommunities,
+    exportImage,
+    setAsOfDate,
+    setTimeWindow,
+    clearTimeWindow,
+    getTimeRange,
+    playTimeline,
+    stopTimeline,
+    expandNode,
+    collapseNode,
+    getExpansions,
+    groupNeighbours,
+    expandGroup,
+    expandAllGroups,
+    getGroupDefinitions,
+    applyGroupDefinitions,
+    filterNodes,
+    searchNodes,
+    clearFilter,
+    focusNextMatch,
+    clearSavedLayout
 };
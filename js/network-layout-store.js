@@ -0,0 +1,124 @@
+// Saved Layouts for NetworkGraph
+// Pinned node positions kept in localStorage per tenant and center entity, least recently used evicted first
+
+const KEY_PREFIX = 'networkGraph.layout:';
+const INDEX_KEY = 'networkGraph.layouts';
+
+export const DEFAULT_MAX_LAYOUTS = 50;
+
+// Storage can be missing or throw (private browsing, blocked cookies)
+function storage() {
+    try {
+        return window.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Browsers name a full store differently; 22 is the legacy DOMException code
+function isQuotaError(error) {
+    return !!error && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22);
+}
+
+function readJson(store, key) {
+    try {
+        const text = store.getItem(key);
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keys of saved layouts, least recently used first
+function readIndex(store) {
+    const index = readJson(store, INDEX_KEY);
+    return Array.isArray(index) ? index.filter(key => typeof key === 'string') : [];
+}
+
+function touch(store, key) {
+    const index = readIndex(store).filter(existing => existing !== key);
+    index.push(key);
+    store.setItem(INDEX_KEY, JSON.stringify(index));
+    return index;
+}
+
+/**
+ * Storage key for a graph, or null when there is no center entity to key on.
+ */
+export function layoutKey(centerEntityId, tenantId = null) {
+    if (centerEntityId === null || centerEntityId === undefined || centerEntityId === '') return null;
+    return `${KEY_PREFIX}${tenantId ?? ''}:${centerEntityId}`;
+}
+
+/**
+ * Saved positions ([{ id, x, y, pinned }]) for a key, or null. Reading a
+ * layout counts as using it.
+ */
+export function loadLayout(key) {
+    const store = storage();
+    if (!store || !key) return null;
+
+    const saved = readJson(store, key);
+    if (!saved || !Array.isArray(saved.positions)) return null;
+    try {
+        touch(store, key);
+    } catch (error) {
+        // Still usable even if the index could not be updated
+    }
+    return saved.positions;
+}
+
+/**
+ * Save positions under a key, evicting the least recently used layouts to
+ * stay within maxLayouts (and to make room if storage is full). An empty
+ * list removes the saved layout. Returns whether it was stored.
+ */
+export function saveLayout(key, positions, maxLayouts = DEFAULT_MAX_LAYOUTS) {
+    const store = storage();
+    if (!store || !key) return false;
+    if (!positions || positions.length === 0) return removeLayout(key);
+
+    let text;
+    try {
+        text = JSON.stringify({ savedAt: new Date().toISOString(), positions });
+    } catch (error) {
+        return false;
+    }
+
+    for (;;) {
+        try {
+            store.setItem(key, text);
+            const index = touch(store, key);
+            while (index.length > Math.max(1, maxLayouts)) {
+                store.removeItem(index.shift());
+            }
+            store.setItem(INDEX_KEY, JSON.stringify(index));
+            return true;
+        } catch (error) {
+            // Only a full store is worth evicting for; anything else (storage
+            // disabled, a SecurityError) would fail again regardless
+            if (!isQuotaError(error)) return false;
+
+            // Quota exceeded: drop the oldest other layout and try again
+            const oldest = readIndex(store).find(existing => existing !== key);
+            if (!oldest) return false;
+            store.removeItem(oldest);
+            store.setItem(INDEX_KEY, JSON.stringify(readIndex(store).filter(existing => existing !== oldest)));
+        }
+    }
+}
+
+export function removeLayout(key) {
+    const store = storage();
+    if (!store || !key) return false;
+
+    try {
+        store.removeItem(key);
+        store.setItem(INDEX_KEY, JSON.stringify(readIndex(store).filter(existing => existing !== key)));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,76 @@
+// Network Layout Worker
+// Runs the NetworkGraph force simulation off the UI thread and posts positions back
+
+import { LAYOUT_DEFAULTS, tick } from './network-layout.js';
+
+let nodes = [];
+let links = [];
+let options = {};
+let runId = 0;
+let step = 0;
+let running = false;
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'start':
+            runId = message.runId;
+            nodes = message.nodes;
+            links = message.links.map(link => ({
+                source: nodes[link.source],
+                target: nodes[link.target],
+                strength: link.strength
+            }));
+            options = message.options || {};
+            step = 0;
+            running = true;
+            setTimeout(() => run(runId), 0);
+            break;
+
+        case 'drag': {
+            const node = nodes[message.index];
+            if (node) {
+                node.x = message.x;
+                node.y = message.y;
+                node.fixed = true;
+            }
+            break;
+        }
+
+        case 'release': {
+            const node = nodes[message.index];
+            if (node) node.fixed = false;
+            break;
+        }
+
+        case 'stop':
+            running = false;
+            break;
+    }
+};
+
+function run(id) {
+    // A newer start message supersedes this loop
+    if (!running || id !== runId) return;
+
+    const maxSteps = options.maxSteps || LAYOUT_DEFAULTS.maxSteps;
+    step++;
+    tick(nodes, links, (options.initialAlpha || 1) * (1 - (step / maxSteps)), options);
+
+    const done = step >= maxSteps;
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((node, i) => {
+        positions[i * 2] = node.x;
+        positions[i * 2 + 1] = node.y;
+    });
+    self.postMessage({ type: done ? 'end' : 'tick', runId, step, positions }, [positions.buffer]);
+
+    if (done) {
+        running = false;
+        return;
+    }
+
+    // Yield between steps so drag and stop messages are handled mid-run
+    setTimeout(() => run(id), 0);
+}
@@ -0,0 +1,233 @@
+// Force-Directed Layout for NetworkGraph
+// Barnes–Hut repulsion over a quadtree, shared by the UI thread and network-layout-worker.js
+
+export const LAYOUT_DEFAULTS = {
+    repulsionStrength: 6000,
+    attractionStrength: 0.06,
+    centerStrength: 0.02,
+    layerStrength: 0.03,
+    layerSpacing: 180,
+    damping: 0.8,
+    theta: 0.9,          // Barnes–Hut opening angle; 0 = exact pairwise repulsion
+    maxSteps: 150,
+    bounds: 500
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+ * String seeds are hashed first so entity ids can be used directly.
+ */
+export function createRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a
+function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Coincident nodes would otherwise split cells forever
+const MAX_QUADTREE_DEPTH = 24;
+
+function createQuad(x, y, size) {
+    return { x, y, size, mass: 0, cx: 0, cy: 0, bodies: [], children: null };
+}
+
+/**
+ * Build a quadtree over the current node positions. Every cell tracks its
+ * node count (mass) and centre of mass so distant cells can be approximated.
+ */
+export function buildQuadtree(nodes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    nodes.forEach(node => {
+        if (node.x < minX) minX = node.x;
+        if (node.y < minY) minY = node.y;
+        if (node.x > maxX) maxX = node.x;
+        if (node.y > maxY) maxY = node.y;
+    });
+
+    const size = Math.max(maxX - minX, maxY - minY, 1);
+    const root = createQuad(minX, minY, size);
+    nodes.forEach(node => insertBody(root, node, 0));
+    return root;
+}
+
+function insertBody(quad, body, depth) {
+    quad.cx = (quad.cx * quad.mass + body.x) / (quad.mass + 1);
+    quad.cy = (quad.cy * quad.mass + body.y) / (quad.mass + 1);
+    quad.mass++;
+
+    if (quad.children) {
+        insertIntoChild(quad, body, depth);
+        return;
+    }
+
+    if (quad.bodies.length === 0 || depth >= MAX_QUADTREE_DEPTH) {
+        quad.bodies.push(body);
+        return;
+    }
+
+    // Occupied leaf: split it and push both bodies down a level
+    const existing = quad.bodies;
+    quad.bodies = [];
+    quad.children = [null, null, null, null];
+    existing.forEach(b => insertIntoChild(quad, b, depth));
+    insertIntoChild(quad, body, depth);
+}
+
+function insertIntoChild(quad, body, depth) {
+    const half = quad.size / 2;
+    const right = body.x >= quad.x + half ? 1 : 0;
+    const bottom = body.y >= quad.y + half ? 1 : 0;
+    const index = right + bottom * 2;
+
+    if (!quad.children[index]) {
+        quad.children[index] = createQuad(quad.x + right * half, quad.y + bottom * half, half);
+    }
+    insertBody(quad.children[index], body, depth + 1);
+}
+
+function accumulateRepulsion(quad, node, strength, theta2) {
+    if (quad.children) {
+        const dx = node.x - quad.cx;
+        const dy = node.y - quad.cy;
+        const distSq = dx * dx + dy * dy;
+
+        // Far enough away: treat the whole cell as one body at its centre of mass
+        if (quad.size * quad.size < theta2 * distSq) {
+            const dist = Math.sqrt(distSq);
+            const force = (strength * quad.mass) / distSq;
+            node.vx += (dx / dist) * force;
+            node.vy += (dy / dist) * force;
+            return;
+        }
+
+        quad.children.forEach(child => {
+            if (child) accumulateRepulsion(child, node, strength, theta2);
+        });
+        return;
+    }
+
+    quad.bodies.forEach(other => {
+        if (other === node) return;
+
+        const dx = node.x - other.x;
+        const dy = node.y - other.y;
+        let dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < 1) dist = 1;
+
+        // Stronger repulsion for nodes on same layer (exact only for nearby nodes)
+        const layerMultiplier = (node.layer === other.layer) ? 1.5 : 1.0;
+        const force = (strength * layerMultiplier) / (dist * dist);
+        node.vx += (dx / dist) * force;
+        node.vy += (dy / dist) * force;
+    });
+}
+
+/**
+ * Resolve edges to { source, target, strength } links holding node objects,
+ * dropping edges whose endpoints are not in the index.
+ */
+export function resolveLinks(edges, nodeIndex) {
+    const links = [];
+    edges.forEach(edge => {
+        const source = nodeIndex.get(edge.source);
+        const target = nodeIndex.get(edge.target);
+        if (source && target) {
+            links.push({ source, target, strength: edge.strength });
+        }
+    });
+    return links;
+}
+
+/**
+ * Boundary half-width for a graph of the given size. Small graphs keep the
+ * original 500 unit box; larger ones get room proportional to their area.
+ */
+export function simulationBounds(nodeCount) {
+    return Math.max(LAYOUT_DEFAULTS.bounds, Math.sqrt(nodeCount) * 40);
+}
+
+/**
+ * Advance the simulation by one step. Nodes flagged `fixed` still exert
+ * forces but are not moved.
+ */
+export function tick(nodes, links, alpha, options = {}) {
+    const config = { ...LAYOUT_DEFAULTS, ...options };
+    const theta2 = config.theta * config.theta;
+    const strength = config.repulsionStrength * alpha;
+
+    // Repulsion between all nodes
+    const root = buildQuadtree(nodes);
+    nodes.forEach(node => accumulateRepulsion(root, node, strength, theta2));
+
+    // Attraction along edges
+    links.forEach(link => {
+        const { source, target } = link;
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        // Target distance based on edge strength
+        const targetDist = link.strength === 'Strong' ? 100 :
+                         link.strength === 'Medium' ? 140 : 180;
+
+        const force = (dist - targetDist) * config.attractionStrength * alpha;
+        const fx = (dx / Math.max(1, dist)) * force;
+        const fy = (dy / Math.max(1, dist)) * force;
+
+        source.vx += fx;
+        source.vy += fy;
+        target.vx -= fx;
+        target.vy -= fy;
+    });
+
+    // Apply forces to each node
+    nodes.forEach(node => {
+        if (node.fixed) return;
+
+        // Keep center node at center
+        if (node.isCenter) {
+            node.vx -= node.x * 0.1 * alpha;
+            node.vy -= node.y * 0.1 * alpha;
+        } else {
+            // Gentle pull toward center
+            node.vx -= node.x * config.centerStrength * alpha;
+            node.vy -= node.y * config.centerStrength * alpha;
+
+            // Encourage nodes to stay in their layer (circular constraint)
+            const currentDist = Math.sqrt(node.x * node.x + node.y * node.y);
+            const targetDist = node.layer * config.layerSpacing;
+            if (currentDist > 0 && targetDist > 0) {
+                const distDiff = currentDist - targetDist;
+                const force = distDiff * config.layerStrength * alpha;
+                node.vx -= (node.x / currentDist) * force;
+                node.vy -= (node.y / currentDist) * force;
+            }
+        }
+
+        // Apply damping
+        node.vx *= config.damping;
+        node.vy *= config.damping;
+
+        // Update position
+        node.x += node.vx;
+        node.y += node.vy;
+
+        // Boundary constraints
+        node.x = Math.max(-config.bounds, Math.min(config.bounds, node.x));
+        node.y = Math.max(-config.bounds, Math.min(config.bounds, node.y));
+    });
+}
@@ -0,0 +1,218 @@
+// Path Search for NetworkGraph
+// Dijkstra shortest paths weighted by relationship strength, with Yen's k-shortest alternatives
+
+// Strong relationships are "short", weak ones "long"
+export const STRENGTH_WEIGHTS = { 'Strong': 1, 'Medium': 2, 'Weak': 3 };
+
+/**
+ * Minimal binary heap keyed on `cost`
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= item.cost) break;
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = item;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                let smallestCost = last.cost;
+                if (left < items.length && items[left].cost < smallestCost) {
+                    smallest = left;
+                    smallestCost = items[left].cost;
+                }
+                if (right < items.length && items[right].cost < smallestCost) {
+                    smallest = right;
+                }
+                if (smallest === i) break;
+                items[i] = items[smallest];
+                i = smallest;
+            }
+            items[i] = last;
+        }
+        return top;
+    }
+}
+
+/**
+ * Build an undirected weighted adjacency list. Where several relationships
+ * join the same pair, only the cheapest is kept. Nodes whose type is in
+ * `excludeTypes` are left out, except for the path endpoints.
+ */
+export function buildAdjacency(nodes, edges, options = {}) {
+    const weights = { ...STRENGTH_WEIGHTS, ...(options.strengthWeights || {}) };
+    const excludeTypes = new Set(options.excludeTypes || []);
+    const keep = new Set(options.keepNodeIds || []);
+
+    const allowed = new Set();
+    nodes.forEach(node => {
+        if (!excludeTypes.has(node.type) || keep.has(node.id)) {
+            allowed.add(node.id);
+        }
+    });
+
+    const adjacency = new Map();
+    allowed.forEach(id => adjacency.set(id, new Map()));
+
+    const link = (from, to, weight, edgeId) => {
+        const neighbours = adjacency.get(from);
+        const existing = neighbours.get(to);
+        if (!existing || weight < existing.weight) {
+            neighbours.set(to, { weight, edgeId });
+        }
+    };
+
+    edges.forEach(edge => {
+        if (edge.source === edge.target) return;
+        if (!allowed.has(edge.source) || !allowed.has(edge.target)) return;
+
+        const weight = weights[edge.strength] ?? weights['Medium'];
+        link(edge.source, edge.target, weight, edge.id);
+        link(edge.target, edge.source, weight, edge.id);
+    });
+
+    return adjacency;
+}
+
+/**
+ * Cheapest path from startId to endId using at most maxHops edges.
+ * Search states are (node, hops) so a hop limit never hides a cheaper route.
+ * Returns { nodeIds, edgeIds, cost, hops } or null.
+ */
+export function dijkstra(adjacency, startId, endId, options = {}) {
+    const maxHops = options.maxHops || Infinity;
+    const blockedNodes = options.blockedNodes || new Set();
+    const blockedEdges = options.blockedEdges || new Set();
+
+    if (!adjacency.has(startId) || !adjacency.has(endId)) return null;
+    if (startId === endId) return { nodeIds: [startId], edgeIds: [], cost: 0, hops: 0 };
+
+    // Fewest hops at which each node has been settled; a later (costlier)
+    // state with as many or more hops is dominated
+    const settledHops = new Map();
+    const heap = new MinHeap();
+    heap.push({ cost: 0, hops: 0, nodeId: startId, edgeId: null, prev: null });
+
+    while (heap.size > 0) {
+        const state = heap.pop();
+
+        if (state.nodeId === endId) {
+            const nodeIds = [];
+            const edgeIds = [];
+            for (let s = state; s; s = s.prev) {
+                nodeIds.push(s.nodeId);
+                if (s.edgeId !== null) edgeIds.push(s.edgeId);
+            }
+            return { nodeIds: nodeIds.reverse(), edgeIds: edgeIds.reverse(), cost: state.cost, hops: state.hops };
+        }
+
+        const best = settledHops.get(state.nodeId);
+        if (best !== undefined && best <= state.hops) continue;
+        settledHops.set(state.nodeId, state.hops);
+
+        if (state.hops >= maxHops) continue;
+
+        adjacency.get(state.nodeId).forEach((link, neighbourId) => {
+            if (blockedNodes.has(neighbourId) || blockedEdges.has(link.edgeId)) return;
+            const seen = settledHops.get(neighbourId);
+            if (seen !== undefined && seen <= state.hops + 1) return;
+
+            heap.push({
+                cost: state.cost + link.weight,
+                hops: state.hops + 1,
+                nodeId: neighbourId,
+                edgeId: link.edgeId,
+                prev: state
+            });
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Up to k loopless paths in increasing cost order (Yen's algorithm).
+ */
+export function kShortestPaths(adjacency, startId, endId, k = 1, options = {}) {
+    const first = dijkstra(adjacency, startId, endId, options);
+    if (!first) return [];
+
+    const found = [first];
+    const candidates = [];
+    const seen = new Set([first.nodeIds.join('\u0000')]);
+
+    while (found.length < k) {
+        const previous = found[found.length - 1];
+
+        for (let i = 0; i < previous.nodeIds.length - 1; i++) {
+            const spurId = previous.nodeIds[i];
+            const rootNodes = previous.nodeIds.slice(0, i + 1);
+            const rootEdges = previous.edgeIds.slice(0, i);
+
+            // Block the next edge of every known path sharing this root
+            const blockedEdges = new Set();
+            found.forEach(path => {
+                if (path.nodeIds.length > i + 1 && rootNodes.every((id, j) => path.nodeIds[j] === id)) {
+                    blockedEdges.add(path.edgeIds[i]);
+                }
+            });
+
+            // Keep the root loopless
+            const blockedNodes = new Set(rootNodes.slice(0, -1));
+
+            const spur = dijkstra(adjacency, spurId, endId, {
+                maxHops: (options.maxHops || Infinity) - i,
+                blockedNodes,
+                blockedEdges
+            });
+            if (!spur) continue;
+
+            const nodeIds = rootNodes.concat(spur.nodeIds.slice(1));
+            const key = nodeIds.join('\u0000');
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            let rootCost = 0;
+            for (let j = 0; j < i; j++) {
+                rootCost += adjacency.get(rootNodes[j]).get(rootNodes[j + 1]).weight;
+            }
+
+            candidates.push({
+                nodeIds,
+                edgeIds: rootEdges.concat(spur.edgeIds),
+                cost: rootCost + spur.cost,
+                hops: nodeIds.length - 1
+            });
+        }
+
+        if (candidates.length === 0) break;
+
+        candidates.sort((a, b) => a.cost - b.cost || a.hops - b.hops);
+        found.push(candidates.shift());
+    }
+
+    return found;
+}
@@ -0,0 +1,111 @@
+// Search and Filtering for NetworkGraph
+// Attribute criteria and fuzzy name matching over the loaded nodes/edges
+
+/**
+ * Fuzzy match of `query` against `text`: every query character must appear
+ * in order. Runs of consecutive characters and matches at the start of a
+ * word score higher; a plain substring scores highest. Returns null when
+ * the text does not match.
+ */
+export function fuzzyScore(query, text) {
+    const q = (query || '').toLowerCase().trim();
+    const t = (text || '').toLowerCase();
+    if (!q) return 0;
+    if (!t) return null;
+
+    const substring = t.indexOf(q);
+    if (substring >= 0) {
+        return 1000 - substring + (substring === 0 || /[\s\-_.]/.test(t[substring - 1]) ? 100 : 0);
+    }
+
+    let score = 0;
+    let run = 0;
+    let position = 0;
+    for (const ch of q) {
+        if (ch === ' ') continue;
+        const found = t.indexOf(ch, position);
+        if (found < 0) return null;
+
+        run = found === position ? run + 1 : 1;
+        score += run * 2;
+        if (found === 0 || /[\s\-_.]/.test(t[found - 1])) score += 8;
+        score -= Math.min(found - position, 10);
+        position = found + 1;
+    }
+    return score;
+}
+
+function toSet(values) {
+    if (values === undefined || values === null) return null;
+    const list = Array.isArray(values) ? values : [values];
+    return list.length > 0 ? new Set(list) : null;
+}
+
+/**
+ * Nodes and edges matching filter criteria:
+ * {
+ *   types: ['Person', ...],            entity types to keep
+ *   riskScore: { min, max },           inclusive range
+ *   name: 'text', fuzzy: false,        substring, or fuzzy when fuzzy is true
+ *   relationshipTypes: ['Owns', ...]   keep nodes with such a relationship
+ * }
+ * Omitted criteria match everything. An edge matches when both its ends do
+ * and, if relationshipTypes is given, its type is listed.
+ * Returns { nodeIds: Set, edgeIds: Set }.
+ */
+export function matchCriteria(nodes, edges, criteria = {}) {
+    const types = toSet(criteria.types);
+    const relationshipTypes = toSet(criteria.relationshipTypes);
+    const range = criteria.riskScore || {};
+    const min = Number.isFinite(range.min) ? range.min : -Infinity;
+    const max = Number.isFinite(range.max) ? range.max : Infinity;
+    const name = (criteria.name || '').trim().toLowerCase();
+
+    let related = null;
+    if (relationshipTypes) {
+        related = new Set();
+        edges.forEach(edge => {
+            if (!relationshipTypes.has(edge.type)) return;
+            related.add(edge.source);
+            related.add(edge.target);
+        });
+    }
+
+    const nodeIds = new Set();
+    nodes.forEach(node => {
+        if (types && !types.has(node.type)) return;
+        if (node.riskScore < min || node.riskScore > max) return;
+        if (related && !related.has(node.id)) return;
+        if (name) {
+            const matched = criteria.fuzzy
+                ? fuzzyScore(name, node.name) !== null
+                : (node.name || '').toLowerCase().includes(name);
+            if (!matched) return;
+        }
+        nodeIds.add(node.id);
+    });
+
+    const edgeIds = new Set();
+    edges.forEach(edge => {
+        if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
+        if (relationshipTypes && !relationshipTypes.has(edge.type)) return;
+        edgeIds.add(edge.id);
+    });
+
+    return { nodeIds, edgeIds };
+}
+
+/**
+ * Nodes whose name (or id) fuzzily matches `text`, best match first.
+ * Returns [{ id, score }].
+ */
+export function rankSearchResults(nodes, text) {
+    const results = [];
+    nodes.forEach(node => {
+        const byName = fuzzyScore(text, node.name);
+        const byId = fuzzyScore(text, String(node.id));
+        const score = Math.max(byName ?? -Infinity, byId === null ? -Infinity : byId - 50);
+        if (score > -Infinity) results.push({ id: node.id, score });
+    });
+    return results.sort((a, b) => b.score - a.score);
+}
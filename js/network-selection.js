@@ -0,0 +1,19 @@
+// Selection Geometry
+// Shared by NetworkGraph and CytoscapeNetworkGraph
+
+/**
+ * Ray casting test of a point against a polygon of { x, y } points, as drawn
+ * by lasso selection
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
@@ -0,0 +1,111 @@
+// Style Map for NetworkGraph
+// Entity type and relationship strength styling, overridable per tenant through render options
+
+export const NODE_STYLES = {
+    'Person': { color: '#3b82f6', icon: '👤', shape: 'circle' },
+    'Organization': { color: '#8b5cf6', icon: '🏢', shape: 'circle' },
+    'Account': { color: '#10b981', icon: '💳', shape: 'circle' },
+    'Transaction': { color: '#f59e0b', icon: '💰', shape: 'circle' },
+    'Address': { color: '#ec4899', icon: '📍', shape: 'circle' },
+    'Document': { color: '#6366f1', icon: '📄', shape: 'circle' }
+};
+
+export const DEFAULT_NODE_STYLE = { color: '#94a3b8', icon: '❓', shape: 'circle' };
+
+export const EDGE_STYLES = {
+    'Strong': { color: '#475569', width: 3, dash: null },
+    'Medium': { color: '#94a3b8', width: 2, dash: null },
+    'Weak': { color: '#cbd5e1', width: 1, dash: null }
+};
+
+export const DEFAULT_EDGE_STYLE = { color: '#94a3b8', width: 2, dash: null };
+
+// Legend glyph for each supported node shape
+export const SHAPE_SYMBOLS = {
+    'circle': '●',
+    'square': '■',
+    'diamond': '◆',
+    'triangle': '▲',
+    'hexagon': '⬢'
+};
+
+// '6,3', '6 3' or [6, 3] → [6, 3]; anything empty → null (solid)
+function parseDash(dash) {
+    if (dash === undefined || dash === null || dash === false) return null;
+    const values = (Array.isArray(dash) ? dash : String(dash).split(/[\s,]+/))
+        .map(Number)
+        .filter(value => Number.isFinite(value) && value >= 0);
+    return values.length > 0 ? values : null;
+}
+
+function mergeStyles(defaults, overrides, normalise) {
+    const merged = {};
+    Object.keys(defaults).forEach(key => { merged[key] = { ...defaults[key] }; });
+    Object.entries(overrides || {}).forEach(([key, style]) => {
+        merged[key] = normalise({ ...(merged[key] || {}), ...(style || {}) });
+    });
+    return merged;
+}
+
+// Unknown shapes are dropped so the entry falls back to the default shape
+function normaliseNode(style) {
+    const result = { ...style };
+    if (!SHAPE_SYMBOLS[result.shape]) delete result.shape;
+    return result;
+}
+
+function normaliseEdge(style) {
+    return 'dash' in style ? { ...style, dash: parseDash(style.dash) } : { ...style };
+}
+
+/**
+ * Merge the `styles` render option over the built-in styles:
+ * {
+ *   types: { [entityType]: { color, icon, shape, label } },
+ *   strengths: { [strength]: { color, width, dash } },
+ *   defaultNode: { color, icon, shape },
+ *   defaultEdge: { color, width, dash }
+ * }
+ * Entries may be partial; missing fields fall back to the built-in entry for
+ * the same key, then to the default. Shapes: circle, square, diamond,
+ * triangle, hexagon.
+ */
+export function createStyleMap(styles = {}) {
+    const defaultNode = { ...DEFAULT_NODE_STYLE, ...normaliseNode(styles.defaultNode || {}) };
+    const defaultEdge = { ...DEFAULT_EDGE_STYLE, ...normaliseEdge(styles.defaultEdge || {}) };
+    const types = mergeStyles(NODE_STYLES, styles.types, normaliseNode);
+    const strengths = mergeStyles(EDGE_STYLES, styles.strengths, normaliseEdge);
+
+    return {
+        types,
+        strengths,
+        node: (type) => ({ ...defaultNode, ...(types[type] || {}) }),
+        edge: (strength) => ({ ...defaultEdge, ...(strengths[strength] || {}) })
+    };
+}
+
+function regularPolygon(sides, r, rotation) {
+    return Array.from({ length: sides }, (_, i) => {
+        const angle = rotation + (i * 2 * Math.PI) / sides;
+        return [Math.round(r * Math.cos(angle) * 100) / 100, Math.round(r * Math.sin(angle) * 100) / 100];
+    });
+}
+
+/**
+ * Corners of a node shape of radius r centred on the origin, or null for a
+ * circle. Polygons are sized to look about as heavy as the circle.
+ */
+export function shapePoints(shape, r) {
+    switch (shape) {
+        case 'square':
+            return [[-r * 0.9, -r * 0.9], [r * 0.9, -r * 0.9], [r * 0.9, r * 0.9], [-r * 0.9, r * 0.9]];
+        case 'diamond':
+            return regularPolygon(4, r * 1.15, -Math.PI / 2);
+        case 'triangle':
+            return regularPolygon(3, r * 1.25, -Math.PI / 2);
+        case 'hexagon':
+            return regularPolygon(6, r, -Math.PI / 2);
+        default:
+            return null;
+    }
+}